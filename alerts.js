@@ -0,0 +1,177 @@
+// Alerts for notes with particular tags (safety, by default): a banner and sound on every
+// notes page and overlay until someone acknowledges it, a webhook POST and/or an OSC message,
+// e.g. to fire an Eos macro or a QLab cue. Rules come from alerts.json.
+const dgram = require('dgram');
+const { formatTimecode } = require('./mtc');
+const { encodeOscMessage } = require('./qlab');
+
+// When a rule fires:
+//   created - a note is added with one of the rule's tags
+//   tagged  - one of the tags is added to an existing note
+//   updated - a note with one of the tags is edited, commented on or changes status
+const ALERT_EVENTS = ['created', 'tagged', 'updated'];
+
+// Used when there's no alerts.json
+const DEFAULT_ALERTS = {
+    rules: [
+        { tags: ['safety'], events: ['created', 'tagged'], banner: true, sound: true }
+    ]
+};
+
+function isValidPort(port) {
+    return Number.isInteger(port) && port >= 1 && port <= 65535;
+}
+
+// Check an alerts.json object, keeping the valid rules. Returns { rules, warnings }
+function parseAlertConfig(config) {
+    const warnings = [];
+    const rules = (Array.isArray(config && config.rules) ? config.rules : []).map((rule, index) => {
+        const where = `rules[${index}]`;
+        if (!rule || typeof rule !== 'object' || !Array.isArray(rule.tags) || rule.tags.length === 0 ||
+            !rule.tags.every(tag => typeof tag === 'string')) {
+            warnings.push(`${where}: needs a list of tags`);
+            return null;
+        }
+        const events = rule.events === undefined ? ['created', 'tagged'] : rule.events;
+        if (!Array.isArray(events) || !events.every(event => ALERT_EVENTS.includes(event))) {
+            warnings.push(`${where}: events must be some of ${ALERT_EVENTS.join(', ')}`);
+            return null;
+        }
+        if (rule.webhook !== undefined && !(rule.webhook && /^https?:\/\//.test(rule.webhook.url))) {
+            warnings.push(`${where}: webhook needs an http(s) url`);
+            return null;
+        }
+        if (rule.osc !== undefined && !(rule.osc && typeof rule.osc.host === 'string' &&
+            isValidPort(rule.osc.port) && typeof rule.osc.address === 'string' && rule.osc.address.startsWith('/'))) {
+            warnings.push(`${where}: osc needs a host, port (1-65535) and address`);
+            return null;
+        }
+        return {
+            tags: rule.tags,
+            events: events,
+            banner: rule.banner !== false,
+            sound: rule.sound !== false,
+            webhook: rule.webhook ? { url: rule.webhook.url, headers: rule.webhook.headers || {} } : null,
+            osc: rule.osc ? { host: rule.osc.host, port: rule.osc.port, address: rule.osc.address, args: Array.isArray(rule.osc.args) ? rule.osc.args : [] } : null
+        };
+    }).filter(rule => rule);
+    return { rules, warnings };
+}
+
+// The rules a change to a note sets off. event is 'created' or 'updated'; for updates,
+// previousTags tells newly tagged notes apart. Returns [{ rule, event, matchedTags }]
+function matchAlertRules(rules, note, event, previousTags = []) {
+    const tags = note.tags || [];
+    const addedTags = tags.filter(tag => !previousTags.includes(tag));
+    const matches = [];
+    rules.forEach(rule => {
+        const matchedTags = tags.filter(tag => rule.tags.includes(tag));
+        const newlyTagged = addedTags.filter(tag => rule.tags.includes(tag));
+        if (event === 'created' && rule.events.includes('created') && matchedTags.length > 0) {
+            matches.push({ rule, event: 'created', matchedTags });
+        } else if (event === 'updated' && rule.events.includes('tagged') && newlyTagged.length > 0) {
+            matches.push({ rule, event: 'tagged', matchedTags: newlyTagged });
+        } else if (event === 'updated' && rule.events.includes('updated') && matchedTags.length > 0) {
+            matches.push({ rule, event: 'updated', matchedTags });
+        }
+    });
+    return matches;
+}
+
+// Note text is stored escaped for the browser; webhooks and consoles get it as typed
+function unescapeHtml(text) {
+    if (typeof text !== 'string') return text;
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#0*39;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+// What clients show and webhooks receive
+function buildAlert(note, event, matchedTags, { id, session, now = Date.now() }) {
+    return {
+        id: id,
+        event: event,
+        noteId: note.id,
+        // Names can carry a colour <span> - banners, webhooks and consoles get the plain name
+        user: unescapeHtml(String(note.user || '').replace(/<[^>]*>/g, '')),
+        text: unescapeHtml(note.text),
+        tags: note.tags || [],
+        matchedTags: matchedTags,
+        act: note.act || null,
+        lxCue: note.lxCue || null,
+        timecode: formatTimecode(note.timecode),
+        session: session || null,
+        createdAt: new Date(now).toISOString()
+    };
+}
+
+// OSC arguments can include {text}, {user}, {act}, {lxCue}, {timecode} and {tags}
+function formatOscArgs(args, alert) {
+    return args.map(arg => (typeof arg === 'string' ?
+        arg.replace(/\{(text|user|act|lxCue|timecode|tags)\}/g, (match, field) =>
+            (field === 'tags' ? alert.tags.join(', ') : String(alert[field] === null ? '' : alert[field]))) :
+        arg));
+}
+
+// Sends a rule's webhook and OSC message. send() resolves to one result per output,
+// { type, ok, error }, and never rejects - a dead webhook mustn't get in the way of the show
+function createAlertSender({ timeoutMs = 5000 } = {}) {
+    let oscSocket = null;
+
+    function sendWebhook(webhook, alert) {
+        return fetch(webhook.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...webhook.headers },
+            body: JSON.stringify(alert),
+            signal: AbortSignal.timeout(timeoutMs)
+        }).then(response => ({
+            type: 'webhook',
+            ok: response.ok,
+            error: response.ok ? null : `HTTP ${response.status}`
+        }), error => ({ type: 'webhook', ok: false, error: error.message }));
+    }
+
+    function sendOsc(osc, alert) {
+        if (!oscSocket) {
+            oscSocket = dgram.createSocket('udp4');
+            oscSocket.unref();
+        }
+        return new Promise(resolve => {
+            // A bad port or argument throws rather than calling back
+            try {
+                const message = encodeOscMessage(osc.address, formatOscArgs(osc.args, alert));
+                oscSocket.send(message, osc.port, osc.host, error => {
+                    resolve({ type: 'osc', ok: !error, error: error ? error.message : null });
+                });
+            } catch (error) {
+                resolve({ type: 'osc', ok: false, error: error.message });
+            }
+        });
+    }
+
+    function send(rule, alert) {
+        const sends = [];
+        if (rule.webhook) sends.push(sendWebhook(rule.webhook, alert));
+        if (rule.osc) sends.push(sendOsc(rule.osc, alert));
+        return Promise.all(sends);
+    }
+
+    function close() {
+        if (oscSocket) oscSocket.close();
+        oscSocket = null;
+    }
+
+    return { send, close };
+}
+
+module.exports = {
+    DEFAULT_ALERTS,
+    parseAlertConfig,
+    matchAlertRules,
+    buildAlert,
+    formatOscArgs,
+    createAlertSender
+};
@@ -0,0 +1,142 @@
+// Photos and small files attached to notes and comments. The browser shrinks photos and makes
+// the thumbnail before uploading (there's no image library on the server); the server checks the
+// upload against these rules and keeps it in attachments/ (attachments.dir).
+// Loaded with require() on the server and as a <script> (window.Attachments) in the browser.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Attachments = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // What can be attached. Images show inline; anything else is a download. magic is the bytes a
+    // file of that type starts with (null: any), so a renamed file can't pass as a photo
+    const ATTACHMENT_TYPES = {
+        'image/jpeg': { extension: 'jpg', image: true, magic: [[0xFF, 0xD8, 0xFF]] },
+        'image/png': { extension: 'png', image: true, magic: [[0x89, 0x50, 0x4E, 0x47]] },
+        'image/gif': { extension: 'gif', image: true, magic: [[0x47, 0x49, 0x46, 0x38]] },
+        'image/webp': { extension: 'webp', image: true, magic: [[0x52, 0x49, 0x46, 0x46]] },
+        'application/pdf': { extension: 'pdf', image: false, magic: [[0x25, 0x50, 0x44, 0x46]] },
+        'text/plain': { extension: 'txt', image: false, magic: null },
+        'text/csv': { extension: 'csv', image: false, magic: null },
+        'audio/mpeg': { extension: 'mp3', image: false, magic: null },
+        'audio/mp4': { extension: 'm4a', image: false, magic: null },
+        'video/mp4': { extension: 'mp4', image: false, magic: null },
+        'video/quicktime': { extension: 'mov', image: false, magic: null }
+    };
+
+    // Thumbnails are JPEGs the browser makes, no bigger than this on their longest side
+    const THUMBNAIL_SIZE = 320;
+    const MAX_THUMBNAIL_BYTES = 256 * 1024;
+
+    // Files go to the server in pieces this big, so no socket message has to be bigger than socket.io's
+    // 1 MB default - an unauthenticated client can't send anything larger
+    const CHUNK_BYTES = 512 * 1024;
+
+    const ATTACHMENT_ID = /^[A-Za-z0-9_-]{8,64}$/;
+
+    function isValidAttachmentId(id) {
+        return typeof id === 'string' && ATTACHMENT_ID.test(id);
+    }
+
+    function isImage(type) {
+        return !!(ATTACHMENT_TYPES[type] && ATTACHMENT_TYPES[type].image);
+    }
+
+    function startsWith(bytes, magic) {
+        return magic.every((byte, index) => bytes[index] === byte);
+    }
+
+    // Does the file look like its type?
+    function matchesType(type, bytes) {
+        const info = ATTACHMENT_TYPES[type];
+        if (!info) return false;
+        return !info.magic || info.magic.some(magic => startsWith(bytes, magic));
+    }
+
+    // A name that's safe to save and show: no folders, control characters or markup, and not too long
+    function safeFileName(name, type) {
+        const extension = ATTACHMENT_TYPES[type] ? ATTACHMENT_TYPES[type].extension : 'bin';
+        let clean = String(name || '').split(/[\\/]/).pop()
+            .replace(/[\u0000-\u001f\u007f]/g, ' ')
+            .replace(/[<>:"|?*]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+        if (!clean || clean.startsWith('.')) clean = `attachment${clean}`;
+        if (clean.length > 100) clean = clean.slice(0, 100 - extension.length - 1) + '.' + extension;
+        return clean;
+    }
+
+    // Check an upload before its file arrives: { name, type, size, thumbnail } (the thumbnail is bytes).
+    // Returns the reason it's refused, or null
+    function checkUploadStart(upload, maxBytes) {
+        if (!upload || typeof upload !== 'object') return 'Nothing was uploaded.';
+        if (!ATTACHMENT_TYPES[upload.type]) return `Files of type ${upload.type || 'unknown'} can't be attached.`;
+        if (!Number.isInteger(upload.size) || upload.size <= 0) return 'The file is empty.';
+        if (upload.size > maxBytes) return `The file is ${formatFileSize(upload.size)} - the most is ${formatFileSize(maxBytes)}.`;
+        if (upload.thumbnail) {
+            if (upload.thumbnail.length > MAX_THUMBNAIL_BYTES || !matchesType('image/jpeg', upload.thumbnail)) {
+                return 'The thumbnail must be a small JPEG.';
+            }
+        }
+        return null;
+    }
+
+    // Check a whole upload { name, type, data, thumbnail } (data and thumbnail are bytes).
+    // Returns the reason it's refused, or null
+    function checkUpload(upload, maxBytes) {
+        const data = upload && upload.data;
+        const size = data && typeof data.length === 'number' ? data.length : 0;
+        const error = checkUploadStart(upload && { ...upload, size: size }, maxBytes);
+        if (error) return error;
+        if (!matchesType(upload.type, data)) return `The file isn't a real ${ATTACHMENT_TYPES[upload.type].extension.toUpperCase()}.`;
+        return null;
+    }
+
+    function formatFileSize(bytes) {
+        if (bytes < 1024) return `${bytes} bytes`;
+        if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1).replace(/\.0$/, '')} MB`;
+    }
+
+    // Every attachment on the notes and their comments, once each
+    function collectAttachments(notes) {
+        const seen = new Set();
+        const attachments = [];
+        const add = list => (Array.isArray(list) ? list : []).forEach(attachment => {
+            if (attachment && isValidAttachmentId(attachment.id) && !seen.has(attachment.id)) {
+                seen.add(attachment.id);
+                attachments.push(attachment);
+            }
+        });
+        notes.forEach(note => {
+            add(note.attachments);
+            (note.comments || []).forEach(comment => add(comment.attachments));
+        });
+        return attachments;
+    }
+
+    // Where an attachment and its thumbnail are in a session zip
+    function zipPaths(attachment) {
+        const info = ATTACHMENT_TYPES[attachment.type];
+        return {
+            file: `attachments/${attachment.id}.${info ? info.extension : 'bin'}`,
+            thumbnail: `attachments/${attachment.id}-thumbnail.jpg`
+        };
+    }
+
+    return {
+        ATTACHMENT_TYPES,
+        THUMBNAIL_SIZE,
+        CHUNK_BYTES,
+        isValidAttachmentId,
+        isImage,
+        matchesType,
+        safeFileName,
+        checkUploadStart,
+        checkUpload,
+        formatFileSize,
+        collectAttachments,
+        zipPaths
+    };
+});
@@ -0,0 +1,126 @@
+// Hands-free commands from OSC and MIDI (button boxes, QLab, the console), mapped in commands.json.
+// A command is one of:
+//   note       - add a placeholder note at the current timecode and cue, with the button's tags
+//   act        - change the act
+//   show-clock - start, hold, resume or reset the show clock
+
+const ACTIONS = ['note', 'act', 'show-clock'];
+const SHOW_CLOCK_COMMANDS = ['start', 'hold', 'resume', 'reset'];
+const MIDI_TYPES = ['noteon', 'cc', 'program'];
+
+// Used when there's no commands.json
+const DEFAULT_COMMANDS = {
+    user: 'DSM',
+    osc: [
+        { address: '/bts/note/mark', action: 'note', text: 'Mark' },
+        { address: '/bts/note/safety', action: 'note', text: 'Safety', tags: ['safety'] },
+        { address: '/bts/act', action: 'act' },
+        { address: '/bts/clock/start', action: 'show-clock', command: 'start' },
+        { address: '/bts/clock/hold', action: 'show-clock', command: 'hold' },
+        { address: '/bts/clock/resume', action: 'show-clock', command: 'resume' }
+    ],
+    midi: []
+};
+
+// Check a commands.json object, keeping the valid entries. Returns { user, osc, midi, warnings }
+function parseCommandConfig(config) {
+    const warnings = [];
+    const user = config && typeof config.user === 'string' && config.user.trim() ? config.user.trim() : DEFAULT_COMMANDS.user;
+
+    const checkEntry = (entry, where) => {
+        if (!entry || typeof entry !== 'object') {
+            warnings.push(`${where}: not an object`);
+            return false;
+        }
+        if (!ACTIONS.includes(entry.action)) {
+            warnings.push(`${where}: action must be one of ${ACTIONS.join(', ')}`);
+            return false;
+        }
+        if (entry.action === 'show-clock' && entry.command !== undefined && !SHOW_CLOCK_COMMANDS.includes(entry.command)) {
+            warnings.push(`${where}: show clock command must be one of ${SHOW_CLOCK_COMMANDS.join(', ')}`);
+            return false;
+        }
+        if (entry.tags !== undefined && (!Array.isArray(entry.tags) || !entry.tags.every(tag => typeof tag === 'string'))) {
+            warnings.push(`${where}: tags must be a list of tag ids`);
+            return false;
+        }
+        return true;
+    };
+
+    const osc = (Array.isArray(config && config.osc) ? config.osc : []).filter((entry, index) => {
+        if (!checkEntry(entry, `osc[${index}]`)) return false;
+        if (typeof entry.address !== 'string' || !entry.address.startsWith('/')) {
+            warnings.push(`osc[${index}]: address must start with /`);
+            return false;
+        }
+        return true;
+    });
+
+    // MIDI channels are 1-16 in the file, as on the button box
+    const midi = (Array.isArray(config && config.midi) ? config.midi : []).filter((entry, index) => {
+        if (!checkEntry(entry, `midi[${index}]`)) return false;
+        if (!MIDI_TYPES.includes(entry.type)) {
+            warnings.push(`midi[${index}]: type must be one of ${MIDI_TYPES.join(', ')}`);
+            return false;
+        }
+        if (entry.channel !== undefined && !(Number.isInteger(entry.channel) && entry.channel >= 1 && entry.channel <= 16)) {
+            warnings.push(`midi[${index}]: channel must be 1-16`);
+            return false;
+        }
+        const numberField = { noteon: 'note', cc: 'controller', program: 'number' }[entry.type];
+        if (!(Number.isInteger(entry[numberField]) && entry[numberField] >= 0 && entry[numberField] <= 127)) {
+            warnings.push(`midi[${index}]: ${numberField} must be 0-127`);
+            return false;
+        }
+        return true;
+    });
+
+    return { user, osc, midi, warnings };
+}
+
+// What to do for a matched entry. value is what came with the message, e.g. the note text or act name
+function toCommand(entry, value, user) {
+    if (entry.action === 'note') {
+        return {
+            action: 'note',
+            text: typeof value === 'string' && value.trim() ? value.trim() : (entry.text || 'Mark'),
+            tags: entry.tags || [],
+            user: entry.user || user
+        };
+    }
+    if (entry.action === 'act') {
+        const act = entry.act || (typeof value === 'string' ? value.trim() : '');
+        return act ? { action: 'act', act } : null;
+    }
+    const command = entry.command || value;
+    return SHOW_CLOCK_COMMANDS.includes(command) ? { action: 'show-clock', command } : null;
+}
+
+// OSC message as [address, ...args]
+function matchOscCommand(commands, message) {
+    const entry = commands.osc.find(candidate => candidate.address === message[0]);
+    return entry ? toCommand(entry, message[1], commands.user) : null;
+}
+
+// easymidi message: { _type, channel (0-15), note/velocity, controller/value or number }.
+// Note on with velocity 0 is a note off, and a CC only fires when pressed (value above 0)
+function matchMidiCommand(commands, message) {
+    if (!message || !MIDI_TYPES.includes(message._type)) return null;
+    if (message._type === 'noteon' && !message.velocity) return null;
+    if (message._type === 'cc' && !message.value) return null;
+
+    const entry = commands.midi.find(candidate =>
+        candidate.type === message._type &&
+        (candidate.channel === undefined || candidate.channel === message.channel + 1) &&
+        (message._type !== 'noteon' || candidate.note === message.note) &&
+        (message._type !== 'cc' || candidate.controller === message.controller) &&
+        (message._type !== 'program' || candidate.number === message.number));
+    return entry ? toCommand(entry, null, commands.user) : null;
+}
+
+module.exports = {
+    DEFAULT_COMMANDS,
+    parseCommandConfig,
+    matchOscCommand,
+    matchMidiCommand
+};
@@ -0,0 +1,203 @@
+// Server settings: defaults, overridden by config.json, then environment variables, then the
+// command line (--name=value or --name value). Everything is checked at startup so a typo in a
+// venue's config stops the server with a message saying which setting is wrong.
+const fs = require('fs');
+const path = require('path');
+
+const TIMECODE_SOURCES = ['midi', 'artnet', 'eos'];
+
+// key is the setting's place in config.json. Secrets are never shown on the admin page.
+// Relative paths in config.json are from the file, on the command line from the current directory
+const SETTINGS = [
+    { key: 'http.port', cli: 'port', env: 'PORT', type: 'port', default: 80, description: 'Web server port' },
+    { key: 'osc.port', cli: 'osc-port', env: 'OSC_PORT', type: 'port', default: 8001, description: 'OSC port for Eos, QLab and commands' },
+    { key: 'osc.timecodeAddress', cli: 'osc-timecode-address', env: 'OSC_TIMECODE_ADDRESS', type: 'string', default: '/eos/out/timecode', description: 'OSC address carrying timecode' },
+    { key: 'osc.timecodeFps', cli: 'osc-timecode-fps', env: 'OSC_TIMECODE_FPS', type: 'number', min: 1, max: 120, default: 30, description: 'Frame rate of OSC timecode sent as four numbers' },
+    { key: 'midi.input', cli: 'midi-input', env: 'MIDI_INPUT', type: 'string', default: null, description: 'MIDI input port name (or part of it)' },
+    { key: 'timecode.sources', cli: 'timecode-sources', env: 'TIMECODE_SOURCES', type: 'list', values: TIMECODE_SOURCES, default: ['midi'], description: 'Timecode sources in priority order' },
+    { key: 'artnet.port', cli: 'artnet-port', env: 'ARTNET_PORT', type: 'port', default: 6454, description: 'Art-Net timecode port' },
+    { key: 'eos.ip', cli: 'eos-ip', env: 'EOS_IP', type: 'string', default: null, description: 'Eos console to subscribe to' },
+    { key: 'eos.port', cli: 'eos-port', env: 'EOS_PORT', type: 'port', default: 8000, description: 'Eos console OSC port' },
+    { key: 'qlab.ip', cli: 'qlab-ip', env: 'QLAB_IP', type: 'string', default: null, description: 'QLab machine to follow sound cues from' },
+    { key: 'qlab.port', cli: 'qlab-port', env: 'QLAB_PORT', type: 'port', default: 53000, description: 'QLab OSC port' },
+    { key: 'qlab.passcode', cli: 'qlab-passcode', env: 'QLAB_PASSCODE', type: 'string', default: null, secret: true, description: 'QLab workspace passcode' },
+    { key: 'backups.dir', cli: 'backup-dir', env: 'BACKUP_DIR', type: 'path', default: 'backups', description: 'Where the journal, snapshots and backups are written' },
+    { key: 'backups.restore', cli: 'restore', env: 'RESTORE_BACKUP', type: 'string', default: 'latest', description: 'What to restore at startup: latest, none, a time (20:41) or a backup file' },
+    { key: 'backups.intervalMinutes', cli: 'backup-interval', env: 'BACKUP_INTERVAL_MINUTES', type: 'number', min: 0.1, default: 10, description: 'Minutes between snapshots of the journal' },
+    { key: 'backups.retentionHours', cli: 'backup-retention', env: 'BACKUP_RETENTION_HOURS', type: 'number', min: 1, default: 24, description: 'Hours to keep old snapshots and journals for' },
+    { key: 'attachments.dir', cli: 'attachments-dir', env: 'ATTACHMENTS_DIR', type: 'path', default: 'attachments', description: 'Where photos and files attached to notes are kept' },
+    { key: 'attachments.maxMegabytes', cli: 'attachment-max-size', env: 'ATTACHMENT_MAX_MEGABYTES', type: 'number', min: 0.1, max: 100, default: 10, description: 'Largest file that can be attached, in MB' },
+    { key: 'attachments.perNote', cli: 'attachments-per-note', env: 'ATTACHMENTS_PER_NOTE', type: 'integer', min: 1, max: 20, default: 5, description: 'Most attachments on one note or comment' },
+    { key: 'users.anonymousTimeoutMinutes', cli: 'anonymous-timeout', env: 'ANONYMOUS_TIMEOUT_MINUTES', type: 'number', min: 1, default: 15, description: 'Minutes before anonymous users are disconnected' },
+    { key: 'chat.historyLength', cli: 'chat-history', env: 'CHAT_HISTORY', type: 'integer', min: 1, default: 100, description: 'Chat messages kept' },
+    { key: 'files.tags', cli: 'tags', env: 'TAGS_FILE', type: 'path', default: 'tags.json', description: 'Tags file' },
+    { key: 'files.commands', cli: 'commands', env: 'COMMANDS_FILE', type: 'path', default: 'commands.json', description: 'OSC and MIDI commands file' },
+    { key: 'files.alerts', cli: 'alerts', env: 'ALERTS_FILE', type: 'path', default: 'alerts.json', description: 'Alert rules file' },
+    { key: 'files.overlays', cli: 'overlays', env: 'OVERLAYS_FILE', type: 'path', default: 'overlays.json', description: 'Saved overlay profiles file' },
+    { key: 'security.adminPin', cli: 'admin-pin', env: 'ADMIN_PIN', type: 'string', default: null, secret: true, description: 'Admin PIN (random if not set)' },
+    { key: 'security.notetakerPin', cli: 'notetaker-pin', env: 'NOTETAKER_PIN', type: 'string', default: null, secret: true, description: 'Note-taker PIN (everyone is a note-taker if not set)' },
+    { key: 'security.apiToken', cli: 'api-token', env: 'API_TOKEN', type: 'string', default: null, secret: true, description: 'REST API token for writes' }
+];
+
+// Read a command line option given as --name=value or --name value
+function getCliOption(argv, name) {
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === `--${name}`) {
+            return argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[i + 1] : '';
+        }
+        if (argv[i].startsWith(`--${name}=`)) {
+            return argv[i].slice(name.length + 3);
+        }
+    }
+    return undefined;
+}
+
+// Check one value, converting text from the command line or environment.
+// Returns { value } or { error }
+function checkValue(setting, raw, baseDir) {
+    const fromText = typeof raw === 'string';
+    if (raw === null && setting.default === null) {
+        return { value: null };
+    }
+    switch (setting.type) {
+    case 'port':
+    case 'integer': {
+        const value = fromText && /^\s*-?\d+\s*$/.test(raw) ? parseInt(raw, 10) : raw;
+        const min = setting.type === 'port' ? 1 : setting.min;
+        const max = setting.type === 'port' ? 65535 : setting.max;
+        if (!Number.isInteger(value) || value < min || (max !== undefined && value > max)) {
+            if (setting.type === 'port') return { error: 'must be a port number (1-65535)' };
+            return { error: max !== undefined ? `must be a whole number from ${min} to ${max}` : `must be a whole number of at least ${min}` };
+        }
+        return { value };
+    }
+    case 'number': {
+        const value = fromText && raw.trim() !== '' ? Number(raw) : raw;
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < setting.min || (setting.max !== undefined && value > setting.max)) {
+            return { error: `must be a number from ${setting.min}${setting.max !== undefined ? ` to ${setting.max}` : ' up'}` };
+        }
+        return { value };
+    }
+    case 'list': {
+        const value = fromText ? raw.split(',').map(item => item.trim().toLowerCase()).filter(item => item) : raw;
+        if (!Array.isArray(value) || value.length === 0 || !value.every(item => setting.values.includes(item))) {
+            return { error: `must be a list of ${setting.values.join(', ')}` };
+        }
+        return { value: value.filter((item, index) => value.indexOf(item) === index) };
+    }
+    case 'path':
+        if (typeof raw !== 'string' || !raw.trim()) {
+            return { error: 'must be a file or directory path' };
+        }
+        return { value: path.resolve(baseDir, raw.trim()) };
+    default:
+        if (typeof raw !== 'string' && !(typeof raw === 'number' && setting.default === null)) {
+            return { error: 'must be text' };
+        }
+        return { value: String(raw) };
+    }
+}
+
+function setPath(target, key, value) {
+    const parts = key.split('.');
+    const last = parts.pop();
+    parts.reduce((node, part) => (node[part] = node[part] || {}), target)[last] = value;
+}
+
+// Settings from config.json (or the file given with --config / CONFIG_FILE), the environment
+// and the command line. Returns { config, sources, file, errors } - config is nested like
+// config.json, sources says where each setting came from: default, file, env or cli
+function loadConfig({ argv = [], env = {}, appDir, cwd = process.cwd() }) {
+    const errors = [];
+    const requestedFile = getCliOption(argv, 'config') || env.CONFIG_FILE;
+    const file = requestedFile ? path.resolve(cwd, requestedFile) : path.join(appDir, 'config.json');
+    const fileName = path.basename(file);
+
+    // The file's settings, flattened to "group.name" keys
+    const fileValues = {};
+    if (requestedFile || fs.existsSync(file)) {
+        try {
+            const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+            if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+                throw new Error('expected an object of settings');
+            }
+            Object.entries(parsed).forEach(([group, groupValues]) => {
+                if (!groupValues || typeof groupValues !== 'object' || Array.isArray(groupValues)) {
+                    errors.push(`${fileName}: "${group}" should be an object of settings`);
+                    return;
+                }
+                Object.entries(groupValues).forEach(([name, value]) => {
+                    const key = `${group}.${name}`;
+                    if (SETTINGS.some(setting => setting.key === key)) {
+                        fileValues[key] = value;
+                    } else {
+                        errors.push(`${fileName}: unknown setting "${key}"`);
+                    }
+                });
+            });
+        } catch (error) {
+            errors.push(`${fileName}: ${error.code === 'ENOENT' ? 'file not found' : error.message}`);
+        }
+    }
+
+    const config = {};
+    const sources = {};
+    SETTINGS.forEach(setting => {
+        // Empty values on the command line or in the environment count as not given
+        const cliValue = getCliOption(argv, setting.cli);
+        let raw = setting.default;
+        let source = 'default';
+        let where = null;
+        let baseDir = appDir;
+        if (cliValue) {
+            raw = cliValue;
+            source = 'cli';
+            where = `--${setting.cli}`;
+            baseDir = cwd;
+        } else if (env[setting.env]) {
+            raw = env[setting.env];
+            source = 'env';
+            where = setting.env;
+            baseDir = cwd;
+        } else if (setting.key in fileValues) {
+            raw = fileValues[setting.key];
+            source = 'file';
+            where = `${fileName} ${setting.key}`;
+            baseDir = path.dirname(file);
+        }
+
+        const checked = checkValue(setting, raw, baseDir);
+        if (checked.error) {
+            errors.push(`${where}: ${checked.error}, got ${JSON.stringify(raw)}`);
+            checked.value = checkValue(setting, setting.default, appDir).value;
+        }
+        setPath(config, setting.key, checked.value);
+        sources[setting.key] = source;
+    });
+
+    return { config, sources, file: fs.existsSync(file) ? file : null, errors };
+}
+
+// The settings for the admin page, with secrets reduced to whether they're set
+function describeConfig({ config, sources }) {
+    return SETTINGS.map(setting => {
+        const value = setting.key.split('.').reduce((node, part) => node[part], config);
+        return {
+            key: setting.key,
+            value: setting.secret ? (value ? 'set' : 'not set') : value,
+            secret: !!setting.secret,
+            source: sources[setting.key],
+            cli: `--${setting.cli}`,
+            env: setting.env,
+            description: setting.description
+        };
+    });
+}
+
+module.exports = {
+    SETTINGS,
+    TIMECODE_SOURCES,
+    getCliOption,
+    loadConfig,
+    describeConfig
+};
@@ -0,0 +1,328 @@
+// Durable storage: every change to notes, comments, tags, acts and sessions is appended to
+// backups/journal.jsonl (one JSON event per line, flushed to disk before the change is sent to
+// anyone), and a snapshot of the whole state is written every so often. On startup the newest
+// snapshot is loaded and the journal replayed on top of it; replaying up to a given time gives the
+// state as it was then ("as of 20:41").
+//
+// Files in the backups folder:
+//   snapshot-<time>.json - the state when it was written, with the seq of the last event it includes
+//   journal-<time>.jsonl - the events before snapshot-<time>.json, kept for point-in-time restores
+//   journal.jsonl        - the events since the newest snapshot
+const fs = require('fs');
+const path = require('path');
+
+const JOURNAL_FILE = 'journal.jsonl';
+const SNAPSHOT_FILE = /^snapshot-(.+)\.json$/;
+const OLD_JOURNAL_FILE = /^journal-(.+)\.jsonl$/;
+const BACKUP_FILE = /^backup-.*\.json$/;
+
+// Event types and what they carry (every event also has seq and at, the time it happened):
+//   note     { sessionId, note, action } - a note was added or changed, with the whole note after the
+//              change. action says what happened: add, edit, tags, status, comment-add, delete...
+//   session  { session }                 - a session was started or renamed (fields other than notes and chat)
+//   activate { sessionId }               - a session was made the active one, closing the last one
+//   act      { sessionId, entry, showClock } - an act change, with the show clock after it
+//   show-clock { sessionId, showClock }
+//   cue      { sessionId, entry }        - a GO on the lighting console
+//   chat     { sessionId, message }
+//   tags     { tags }                    - the whole tag list after a change
+//   identity { token, identity }         - someone connected for the first time or changed their name
+const EVENT_HANDLERS = {
+    note(state, event) {
+        const session = findSession(state, event.sessionId);
+        if (!session || !event.note) return;
+        const index = session.notes.findIndex(note => String(note.id) === String(event.note.id));
+        if (index >= 0) {
+            session.notes[index] = event.note;
+        } else {
+            session.notes.push(event.note);
+        }
+    },
+    session(state, event) {
+        if (!event.session || !event.session.id) return;
+        const { notes, chatMessages, ...fields } = event.session;
+        const session = findSession(state, fields.id);
+        if (session) {
+            Object.assign(session, fields);
+        } else {
+            state.sessions.push({ notes: [], chatMessages: [], actHistory: [], cueHistory: [], ...fields });
+        }
+    },
+    activate(state, event) {
+        const session = findSession(state, event.sessionId);
+        if (!session) return;
+        const previous = findSession(state, state.activeSessionId);
+        if (previous && previous !== session) {
+            previous.closedAt = event.at;
+        }
+        session.closedAt = null;
+        state.activeSessionId = session.id;
+    },
+    act(state, event) {
+        const session = findSession(state, event.sessionId);
+        if (!session) return;
+        session.actHistory.push(event.entry);
+        if (event.showClock) session.showClock = event.showClock;
+    },
+    'show-clock'(state, event) {
+        const session = findSession(state, event.sessionId);
+        if (session) session.showClock = event.showClock;
+    },
+    cue(state, event) {
+        const session = findSession(state, event.sessionId);
+        if (session) session.cueHistory.push(event.entry);
+    },
+    chat(state, event) {
+        const session = findSession(state, event.sessionId);
+        if (session) session.chatMessages.push(event.message);
+    },
+    tags(state, event) {
+        if (Array.isArray(event.tags)) state.tags = event.tags;
+    },
+    identity(state, event) {
+        if (!event.token || !event.identity) return;
+        state.identities = state.identities.filter(identity => identity.token !== event.token)
+            .concat({ token: event.token, ...event.identity });
+    }
+};
+
+function findSession(state, sessionId) {
+    return state.sessions.find(session => session.id === sessionId);
+}
+
+function emptyState() {
+    return { activeSessionId: null, sessions: [], tags: [], identities: [] };
+}
+
+// Apply one event to a state in the snapshot format. Unknown events are skipped
+function applyEvent(state, event) {
+    const handler = EVENT_HANDLERS[event.type];
+    if (handler) handler(state, event);
+    return state;
+}
+
+// The state after the events with a seq after the snapshot's, up to and including until (a Date),
+// in seq order. The snapshot isn't changed
+function replay(snapshot, events, until = null) {
+    const state = { ...emptyState(), ...JSON.parse(JSON.stringify(snapshot || {})) };
+    const after = snapshot && Number.isFinite(snapshot.seq) ? snapshot.seq : 0;
+    const applied = events
+        .filter(event => event.seq > after && (!until || new Date(event.at) <= until))
+        .sort((a, b) => a.seq - b.seq);
+    applied.forEach(event => applyEvent(state, event));
+    return { state, applied: applied.length };
+}
+
+// Events from a journal file's text. A line cut short by a crash mid-write is skipped
+function parseJournal(text) {
+    const events = [];
+    let skipped = 0;
+    text.split('\n').forEach(line => {
+        if (!line.trim()) return;
+        try {
+            const event = JSON.parse(line);
+            if (event && Number.isFinite(event.seq) && typeof event.type === 'string') {
+                events.push(event);
+            } else {
+                skipped++;
+            }
+        } catch (error) {
+            skipped++;
+        }
+    });
+    return { events, skipped };
+}
+
+// --restore=20:41 (the last time it was 20:41), 20:41:30 or 2025-10-14T20:41 (local time).
+// Null if the value isn't a time, e.g. a backup file name
+function parseRestoreTime(value, now = new Date()) {
+    const text = String(value || '').trim();
+    const clock = text.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+    if (clock) {
+        if (Number(clock[1]) > 23 || Number(clock[2]) > 59 || Number(clock[3] || 0) > 59) return null;
+        const time = new Date(now);
+        time.setHours(Number(clock[1]), Number(clock[2]), Number(clock[3] || 0), 999);
+        if (time > now) time.setDate(time.getDate() - 1);
+        return time;
+    }
+    if (/^\d{4}-\d{2}-\d{2}[T ]\d{1,2}:\d{2}/.test(text)) {
+        const time = new Date(text.replace(' ', 'T'));
+        return isNaN(time) ? null : time;
+    }
+    return null;
+}
+
+// 2025-10-14T19:41:00.000Z <-> 2025-10-14T19-41-00-000Z, as used in file names
+function fileStamp(date) {
+    return date.toISOString().replace(/[:.]/g, '-');
+}
+
+function stampTime(stamp) {
+    const match = stamp.match(/^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/);
+    return match ? new Date(`${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z`) : null;
+}
+
+// Write a file so a crash leaves either the old file or the whole new one
+function writeFileDurably(filePath, data) {
+    const temporary = `${filePath}.tmp`;
+    const fd = fs.openSync(temporary, 'w');
+    try {
+        fs.writeSync(fd, data);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(temporary, filePath);
+}
+
+// The journal in a backups folder. load() reads it back, compact() writes a snapshot and starts a
+// new journal file (and must be called before append), append() records an event. Errors are thrown
+function createJournal(dir) {
+    let fd = null;
+    let lastSeq = null;
+    let eventsSinceSnapshot = 0;
+
+    function listFiles() {
+        try {
+            return fs.readdirSync(dir).sort();
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    // Snapshots oldest first: [{ file, takenAt }]
+    function listSnapshots() {
+        return listFiles()
+            .map(file => ({ file, match: file.match(SNAPSHOT_FILE) }))
+            .filter(({ match }) => match && stampTime(match[1]))
+            .map(({ file, match }) => ({ file, takenAt: stampTime(match[1]) }));
+    }
+
+    function readEvents() {
+        const files = listFiles().filter(file => OLD_JOURNAL_FILE.test(file)).concat(
+            fs.existsSync(path.join(dir, JOURNAL_FILE)) ? [JOURNAL_FILE] : []);
+        return files.reduce((all, file) => {
+            const { events, skipped } = parseJournal(fs.readFileSync(path.join(dir, file), 'utf8'));
+            return { events: all.events.concat(events), skipped: all.skipped + skipped };
+        }, { events: [], skipped: 0 });
+    }
+
+    function readSnapshot(file) {
+        return JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    }
+
+    // Anything written yet? If not there's nothing to load and an older backup-*.json may be wanted
+    function exists() {
+        return listFiles().some(file => file === JOURNAL_FILE || SNAPSHOT_FILE.test(file) || OLD_JOURNAL_FILE.test(file));
+    }
+
+    // The state now, or as it was at until (a Date), from the newest snapshot before then and the
+    // journal. Returns { state, snapshot, events, skipped } - snapshot is the file name, events how
+    // many were replayed on top of it, skipped how many lines couldn't be read
+    function load(until = null) {
+        const snapshots = listSnapshots().filter(snapshot => !until || snapshot.takenAt <= until);
+        if (until && snapshots.length === 0) {
+            const oldest = listSnapshots()[0];
+            throw new Error(oldest ? `the oldest snapshot is from ${oldest.takenAt.toLocaleString()}` : 'there are no snapshots');
+        }
+        const { events, skipped } = readEvents();
+        const newest = snapshots[snapshots.length - 1];
+        const snapshot = newest ? readSnapshot(newest.file) : null;
+        const { state, applied } = replay(snapshot, events, until);
+
+        lastSeq = Math.max(findLastSeq(events), snapshot && Number.isFinite(snapshot.seq) ? snapshot.seq : 0);
+        return { state, snapshot: newest ? newest.file : null, events: applied, skipped };
+    }
+
+    // Seqs carry on from the highest one written, even after restoring to an earlier time
+    function findLastSeq(events = readEvents().events) {
+        const snapshots = listSnapshots();
+        const newest = snapshots[snapshots.length - 1];
+        const snapshotSeq = newest ? readSnapshot(newest.file).seq || 0 : 0;
+        return events.reduce((highest, event) => Math.max(highest, event.seq), snapshotSeq);
+    }
+
+    // Snapshot the state (in the backup file format) and start a new journal. Returns the file name
+    function compact(state) {
+        if (lastSeq === null) lastSeq = findLastSeq();
+        fs.mkdirSync(dir, { recursive: true });
+
+        // Snapshots are named by time, so two in the same millisecond are a millisecond apart
+        const takenAt = new Date();
+        while (fs.existsSync(path.join(dir, `snapshot-${fileStamp(takenAt)}.json`))) {
+            takenAt.setTime(takenAt.getTime() + 1);
+        }
+        const stamp = fileStamp(takenAt);
+        const file = `snapshot-${stamp}.json`;
+        writeFileDurably(path.join(dir, file), JSON.stringify({ ...state, seq: lastSeq, takenAt: takenAt.toISOString() }, null, 2));
+
+        // The events before the snapshot are kept alongside it
+        if (fd !== null) {
+            fs.closeSync(fd);
+            fd = null;
+        }
+        const journalPath = path.join(dir, JOURNAL_FILE);
+        if (fs.existsSync(journalPath)) {
+            if (fs.statSync(journalPath).size > 0) {
+                fs.renameSync(journalPath, path.join(dir, `journal-${stamp}.jsonl`));
+            } else {
+                fs.unlinkSync(journalPath);
+            }
+        }
+        fd = fs.openSync(journalPath, 'a');
+        eventsSinceSnapshot = 0;
+        return file;
+    }
+
+    // Write an event and wait for it to reach the disk. Returns the event with its seq and time
+    function append(event) {
+        if (fd === null) throw new Error('the journal has not been started');
+        const record = { seq: lastSeq + 1, at: new Date().toISOString(), ...event };
+        fs.writeSync(fd, JSON.stringify(record) + '\n');
+        fs.fsyncSync(fd);
+        lastSeq = record.seq;
+        eventsSinceSnapshot++;
+        return record;
+    }
+
+    // Delete snapshots, old journals and backup-*.json files last changed before cutoff (a Date),
+    // never the newest snapshot or the live journal. Returns the deleted file names
+    function removeOlderThan(cutoff) {
+        const snapshots = listSnapshots();
+        const newest = snapshots.length > 0 ? snapshots[snapshots.length - 1].file : null;
+        return listFiles()
+            .filter(file => file !== newest && (SNAPSHOT_FILE.test(file) || OLD_JOURNAL_FILE.test(file) || BACKUP_FILE.test(file)))
+            .filter(file => fs.statSync(path.join(dir, file)).mtime < cutoff)
+            .filter(file => {
+                fs.unlinkSync(path.join(dir, file));
+                return true;
+            });
+    }
+
+    function close() {
+        if (fd !== null) fs.closeSync(fd);
+        fd = null;
+    }
+
+    return {
+        exists,
+        load,
+        compact,
+        append,
+        removeOlderThan,
+        close,
+        get eventsSinceSnapshot() {
+            return eventsSinceSnapshot;
+        }
+    };
+}
+
+module.exports = {
+    JOURNAL_FILE,
+    applyEvent,
+    replay,
+    parseJournal,
+    parseRestoreTime,
+    createJournal
+};
@@ -0,0 +1,276 @@
+// MIDI Timecode decoder: quarter-frame and full-frame (SysEx) messages, forward and
+// reverse playback, drop-frame 29.97 and dropout detection with a freewheel period.
+
+// Rate codes from the hours byte
+const FRAME_RATES = {
+    0: { frameRate: 24, dropFrame: false },
+    1: { frameRate: 25, dropFrame: false },
+    2: { frameRate: 29.97, dropFrame: true },
+    3: { frameRate: 30, dropFrame: false }
+};
+
+// Nominal frames per second used for counting - 29.97 drop-frame counts in 30s and skips numbers
+function nominalFps(tc) {
+    return Math.round(tc.frameRate || 30);
+}
+
+// Frames per real second, for freewheeling
+function actualFps(tc) {
+    return tc.dropFrame ? 30000 / 1001 : nominalFps(tc);
+}
+
+function framesPerDay(tc) {
+    // Drop-frame skips 2 frame numbers every minute except every tenth minute
+    return tc.dropFrame ? 24 * 6 * 17982 : 24 * 3600 * nominalFps(tc);
+}
+
+// Count the frames since midnight
+function timecodeToFrames(tc) {
+    const fps = nominalFps(tc);
+    let frames = ((tc.hours * 60 + tc.minutes) * 60 + tc.seconds) * fps + tc.frames;
+    if (tc.dropFrame) {
+        const totalMinutes = tc.hours * 60 + tc.minutes;
+        frames -= 2 * (totalMinutes - Math.floor(totalMinutes / 10));
+    }
+    return frames;
+}
+
+// Turn a frame count back into a timecode with the same rate, wrapping around midnight
+function framesToTimecode(count, template) {
+    const fps = nominalFps(template);
+    const perDay = framesPerDay(template);
+    let frames = ((Math.round(count) % perDay) + perDay) % perDay;
+
+    if (template.dropFrame) {
+        const tenMinuteBlocks = Math.floor(frames / 17982);
+        const remainder = frames % 17982;
+        frames += 18 * tenMinuteBlocks + (remainder > 1 ? 2 * Math.floor((remainder - 2) / 1798) : 0);
+    }
+
+    return {
+        ...template,
+        hours: Math.floor(frames / (fps * 3600)),
+        minutes: Math.floor(frames / (fps * 60)) % 60,
+        seconds: Math.floor(frames / fps) % 60,
+        frames: frames % fps
+    };
+}
+
+// HH:MM:SS:FF, or HH:MM:SS;FF for drop-frame
+function formatTimecode(tc) {
+    if (!tc || typeof tc !== 'object') {
+        return '00:00:00:00';
+    }
+    const pad = value => (value || 0).toString().padStart(2, '0');
+    return `${pad(tc.hours)}:${pad(tc.minutes)}:${pad(tc.seconds)}${tc.dropFrame ? ';' : ':'}${pad(tc.frames)}`;
+}
+
+// A note's frame rate: the rate of its timecode source (any rate osc.timecodeFps allows, 1-120),
+// or 'ms' for the real-time clock. Anything else is null
+function sanitizeFrameRate(value) {
+    if (value === 'ms') return 'ms';
+    return typeof value === 'number' && Number.isFinite(value) && value >= 1 && value <= 120 ? value : null;
+}
+
+const DISPLAY_MODES = ['midi', 'realtime', 'showclock'];
+
+// A timecode from a client or an imported file, rebuilt from numbers and known values only - it ends
+// up in the notes page's markup. Returns null unless it has hours, minutes and seconds
+function sanitizeTimecode(tc) {
+    if (!tc || typeof tc !== 'object') return null;
+    const whole = value => (typeof value === 'number' && Number.isFinite(value) && value >= 0 ? Math.floor(value) : null);
+    const [hours, minutes, seconds] = [whole(tc.hours), whole(tc.minutes), whole(tc.seconds)];
+    if (hours === null || minutes === null || seconds === null) return null;
+
+    const clean = { hours, minutes, seconds, frames: whole(tc.frames) || 0, dropFrame: tc.dropFrame === true };
+    if (tc.milliseconds !== undefined) clean.milliseconds = whole(tc.milliseconds) || 0;
+    const frameRate = sanitizeFrameRate(tc.frameRate);
+    if (frameRate !== null) clean.frameRate = frameRate;
+    if (DISPLAY_MODES.includes(tc.displayMode)) clean.displayMode = tc.displayMode;
+    if (typeof tc.source === 'string' && /^[a-z]{1,20}$/.test(tc.source)) clean.source = tc.source;
+    if (whole(tc.showElapsed) !== null) clean.showElapsed = whole(tc.showElapsed);
+    return clean;
+}
+
+function isSameTime(a, b) {
+    return !!a && !!b && a.hours === b.hours && a.minutes === b.minutes &&
+        a.seconds === b.seconds && a.frames === b.frames;
+}
+
+// Status values:
+//   waiting   - no timecode received yet
+//   running   - quarter frames are arriving
+//   freewheel - quarter frames stopped, the clock carries on for a moment in case it's a glitch
+//   lost      - nothing for longer than the freewheel period, the clock is stopped
+//   located   - a full-frame message set the position without playback
+//
+// onTimecode(timecode) is called when the displayed time changes,
+// onStatus({ status, direction }) when the status or direction changes.
+function createMtcDecoder({ onTimecode = () => {}, onStatus = () => {}, dropoutMs = 200, freewheelMs = 2000, now = Date.now } = {}) {
+    const pieces = new Array(8).fill(0);
+    let receivedPieces = 0; // Bit mask of the pieces received in the current cycle
+    let lastPiece = -1;
+    let direction = 'forward';
+    let status = 'waiting';
+    let timecode = null;
+    let lastMessageAt = null;
+    let syncedTimecode = null; // Last time set from a message, and when
+    let lastSyncAt = null;
+    let messagesReceived = 0;
+
+    const setStatus = (newStatus) => {
+        if (newStatus !== status) {
+            status = newStatus;
+            onStatus({ status, direction });
+        }
+    };
+
+    const setTimecode = (newTimecode) => {
+        const changed = !isSameTime(newTimecode, timecode) ||
+            newTimecode.frameRate !== timecode.frameRate || newTimecode.direction !== timecode.direction;
+        timecode = newTimecode;
+        if (changed) {
+            onTimecode({ ...timecode });
+        }
+    };
+
+    const decodePieces = () => {
+        const hoursAndRate = (pieces[7] << 4) | pieces[6];
+        return {
+            hours: hoursAndRate & 0x1F,
+            minutes: (pieces[5] << 4) | pieces[4],
+            seconds: (pieces[3] << 4) | pieces[2],
+            frames: (pieces[1] << 4) | pieces[0],
+            ...FRAME_RATES[(hoursAndRate >> 5) & 0x03],
+            direction: direction,
+            source: 'midi'
+        };
+    };
+
+    // Quarter frame: piece 0-7 and its 4 bit value
+    function quarterFrame(piece, value) {
+        messagesReceived++;
+        lastMessageAt = now();
+
+        // Pieces count up when playing forward and down in reverse - anything else restarts the cycle
+        let pieceDirection = null;
+        if (lastPiece !== -1) {
+            if (piece === (lastPiece + 1) % 8) pieceDirection = 'forward';
+            else if (piece === (lastPiece + 7) % 8) pieceDirection = 'reverse';
+        }
+        if (!pieceDirection) {
+            receivedPieces = 0;
+        } else if (pieceDirection !== direction) {
+            direction = pieceDirection;
+            receivedPieces = 0;
+            onStatus({ status, direction });
+        }
+        lastPiece = piece;
+        pieces[piece] = value & 0x0F;
+        receivedPieces |= 1 << piece;
+
+        // A cycle ends on piece 7 going forward and piece 0 in reverse
+        const cycleEnd = direction === 'forward' ? 7 : 0;
+        if (piece === cycleEnd && receivedPieces === 0xFF) {
+            receivedPieces = 0;
+            const decoded = decodePieces();
+            // The time was sent at the start of the cycle - 8 quarter frames is 2 frames ago
+            const current = framesToTimecode(timecodeToFrames(decoded) + (direction === 'forward' ? 2 : -2), decoded);
+            syncedTimecode = current;
+            lastSyncAt = lastMessageAt;
+            setTimecode(current);
+            setStatus('running');
+        }
+    }
+
+    // Full-frame SysEx: F0 7F <device> 01 01 hr mn sc fr F7 - sent on locate/chase
+    function fullFrame(bytes) {
+        if (!Array.isArray(bytes) || bytes.length < 10 || bytes[0] !== 0xF0 || bytes[1] !== 0x7F ||
+            bytes[3] !== 0x01 || bytes[4] !== 0x01) {
+            return false;
+        }
+        messagesReceived++;
+        lastMessageAt = now();
+        receivedPieces = 0;
+        lastPiece = -1;
+
+        syncedTimecode = {
+            hours: bytes[5] & 0x1F,
+            minutes: bytes[6] & 0x3F,
+            seconds: bytes[7] & 0x3F,
+            frames: bytes[8] & 0x1F,
+            ...FRAME_RATES[(bytes[5] >> 5) & 0x03],
+            direction: direction,
+            source: 'midi'
+        };
+        lastSyncAt = lastMessageAt;
+        setTimecode(syncedTimecode);
+        if (status !== 'running') {
+            setStatus('located');
+        }
+        return true;
+    }
+
+    // Anything easymidi gives us - MTC quarter frames, raw bytes or SysEx
+    function handleMidiMessage(msg) {
+        if (msg._type === 'mtc' && typeof msg.type === 'number' && typeof msg.value === 'number') {
+            quarterFrame(msg.type, msg.value);
+        } else if (msg._type === 'sysex' && Array.isArray(msg.bytes)) {
+            fullFrame(msg.bytes);
+        } else if (Array.isArray(msg.bytes)) {
+            const [statusByte, data1] = msg.bytes;
+            if (statusByte === 0xF1) {
+                quarterFrame(data1 >> 4, data1 & 0x0F);
+            } else if (statusByte === 0xF0) {
+                fullFrame(msg.bytes);
+            }
+        }
+    }
+
+    // Call regularly: notices dropouts and moves the clock on while freewheeling
+    function tick() {
+        if (status !== 'running' && status !== 'freewheel') return;
+
+        const silentFor = now() - lastMessageAt;
+        if (silentFor > freewheelMs) {
+            receivedPieces = 0;
+            lastPiece = -1;
+            // Go back to the last time we actually received rather than where freewheeling got to
+            setTimecode(syncedTimecode);
+            setStatus('lost');
+        } else if (silentFor > dropoutMs) {
+            setStatus('freewheel');
+            const elapsedFrames = Math.floor((now() - lastSyncAt) * actualFps(syncedTimecode) / 1000);
+            setTimecode(framesToTimecode(
+                timecodeToFrames(syncedTimecode) + (direction === 'forward' ? elapsedFrames : -elapsedFrames),
+                syncedTimecode
+            ));
+        }
+    }
+
+    return {
+        quarterFrame,
+        fullFrame,
+        handleMidiMessage,
+        tick,
+        getState() {
+            return {
+                status,
+                direction,
+                timecode: timecode ? { ...timecode } : null,
+                lastMessageAt,
+                messagesReceived
+            };
+        }
+    };
+}
+
+module.exports = {
+    FRAME_RATES,
+    createMtcDecoder,
+    formatTimecode,
+    sanitizeFrameRate,
+    sanitizeTimecode,
+    timecodeToFrames,
+    framesToTimecode
+};
@@ -0,0 +1,215 @@
+// Searching and filtering notes, shared by the live notes page and recall.html so the same
+// bookmark finds the same notes in both. Filters live in the page's URL, e.g.
+// /?q=flicker&tags=lighting,practicals&match=all&act=Act%202&cueFrom=40&cueTo=60
+// Loaded with require() in the tests and as a <script> (window.NoteFilters) in the browser.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.NoteFilters = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // text          - words (or "quoted phrases") that must all be in the note or its comments
+    // tags/tagMatch - notes with any (or all) of these tags
+    // tcFrom/tcTo   - timecode range, HH:MM:SS or HH:MM:SS:FF
+    // timeFrom/To   - time of day the note was taken, HH:MM (the range can run past midnight)
+    // cueFrom/cueTo - LX cue number range
+    // edited        - only notes whose text has been changed
+    const DEFAULT_FILTERS = {
+        text: '',
+        tags: [],
+        tagMatch: 'any',
+        act: 'all',
+        user: '',
+        status: 'all',
+        tcFrom: '',
+        tcTo: '',
+        timeFrom: '',
+        timeTo: '',
+        cueFrom: '',
+        cueTo: '',
+        edited: false
+    };
+
+    // Filter name -> URL parameter
+    const URL_NAMES = {
+        text: 'q',
+        tags: 'tags',
+        tagMatch: 'match',
+        act: 'act',
+        user: 'user',
+        status: 'status',
+        tcFrom: 'tcFrom',
+        tcTo: 'tcTo',
+        timeFrom: 'timeFrom',
+        timeTo: 'timeTo',
+        cueFrom: 'cueFrom',
+        cueTo: 'cueTo',
+        edited: 'edited'
+    };
+
+    // Notes and names are stored escaped for the browser; search them as typed
+    function toPlainText(html) {
+        return String(html || '')
+            .replace(/<[^>]*>/g, '')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#0*39;/g, "'")
+            .replace(/&amp;/g, '&')
+            .toLowerCase();
+    }
+
+    // "flicker practical" -> ['flicker', 'practical'], '"stage left" fog' -> ['stage left', 'fog']
+    function searchTerms(text) {
+        const terms = [];
+        String(text || '').replace(/"([^"]*)"|(\S+)/g, (match, phrase, word) => {
+            const term = (phrase !== undefined ? phrase : word).trim().toLowerCase();
+            if (term) terms.push(term);
+            return match;
+        });
+        return terms;
+    }
+
+    // Timecode as seconds, frames after the point, so HH:MM:SS and HH:MM:SS:FF compare. Null if not a timecode
+    function parseTimecodeValue(value) {
+        if (value && typeof value === 'object') {
+            return (value.hours || 0) * 3600 + (value.minutes || 0) * 60 + (value.seconds || 0) + (value.frames || 0) / 1000;
+        }
+        const match = String(value || '').trim().match(/^(\d{1,2}):(\d{1,2}):(\d{1,2})(?:[:;.](\d{1,3}))?$/);
+        if (!match) return null;
+        return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]) + Number(match[4] || 0) / 1000;
+    }
+
+    // HH:MM as minutes into the day. Null if not a time
+    function parseClockTime(value) {
+        const match = String(value || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+        if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+        return Number(match[1]) * 60 + Number(match[2]);
+    }
+
+    function parseCueNumber(value) {
+        const text = String(value === null || value === undefined ? '' : value).trim();
+        return /^\d+(\.\d+)?$/.test(text) ? Number(text) : null;
+    }
+
+    function inRange(value, from, to) {
+        return (from === null || value >= from) && (to === null || value <= to);
+    }
+
+    // Everything to do with one note, parsed once per filter change rather than per note
+    function compileFilters(filters) {
+        const settings = { ...DEFAULT_FILTERS, ...filters };
+        return {
+            settings: settings,
+            terms: searchTerms(settings.text),
+            user: toPlainText(settings.user).trim(),
+            tcFrom: parseTimecodeValue(settings.tcFrom),
+            tcTo: parseTimecodeValue(settings.tcTo),
+            timeFrom: parseClockTime(settings.timeFrom),
+            timeTo: parseClockTime(settings.timeTo),
+            cueFrom: parseCueNumber(settings.cueFrom),
+            cueTo: parseCueNumber(settings.cueTo)
+        };
+    }
+
+    function matchesNote(note, compiled) {
+        const settings = compiled.settings;
+        const tags = note.tags || [];
+        const status = note.status || 'open';
+
+        if (settings.tags.length > 0) {
+            const hasTag = tag => tags.includes(tag);
+            if (settings.tagMatch === 'all' ? !settings.tags.every(hasTag) : !settings.tags.some(hasTag)) return false;
+        }
+        if (settings.act !== 'all' && (note.act || 'Preshow') !== settings.act) return false;
+        if (settings.status === 'outstanding' ? status === 'verified' || status === 'wont-fix' :
+            settings.status !== 'all' && status !== settings.status) return false;
+        if (compiled.user && !toPlainText(note.user).includes(compiled.user)) return false;
+        if (settings.edited && !(note.revisions && note.revisions.length > 1)) return false;
+
+        if (compiled.tcFrom !== null || compiled.tcTo !== null) {
+            const timecode = parseTimecodeValue(note.timecode);
+            if (timecode === null || !inRange(timecode, compiled.tcFrom, compiled.tcTo)) return false;
+        }
+        if (compiled.timeFrom !== null || compiled.timeTo !== null) {
+            const taken = new Date(note.timestamp);
+            if (isNaN(taken)) return false;
+            const minutes = taken.getHours() * 60 + taken.getMinutes();
+            const from = compiled.timeFrom === null ? 0 : compiled.timeFrom;
+            const to = compiled.timeTo === null ? 24 * 60 : compiled.timeTo;
+            if (from <= to ? minutes < from || minutes > to : minutes < from && minutes > to) return false;
+        }
+        if (compiled.cueFrom !== null || compiled.cueTo !== null) {
+            const cue = parseCueNumber(note.lxCue);
+            if (cue === null || !inRange(cue, compiled.cueFrom, compiled.cueTo)) return false;
+        }
+        if (compiled.terms.length > 0) {
+            const searchable = [note.text].concat((note.comments || []).map(comment => comment.text))
+                .map(toPlainText).join('\n');
+            if (!compiled.terms.every(term => searchable.includes(term))) return false;
+        }
+        return true;
+    }
+
+    // The notes that pass every filter, in their original order
+    function filterNotes(notes, filters) {
+        const compiled = compileFilters(filters);
+        return notes.filter(note => matchesNote(note, compiled));
+    }
+
+    // A matcher for pages that show and hide notes already on the page
+    function createNoteMatcher(filters) {
+        const compiled = compileFilters(filters);
+        return note => matchesNote(note, compiled);
+    }
+
+    // Filters from a page's query string; anything missing is left at its default
+    function parseFilterQuery(query) {
+        const params = new URLSearchParams(query);
+        const filters = { ...DEFAULT_FILTERS, tags: [] };
+        Object.keys(URL_NAMES).forEach(key => {
+            const value = params.get(URL_NAMES[key]);
+            if (value === null) return;
+            if (key === 'tags') {
+                filters.tags = value.split(',').map(tag => tag.trim()).filter(tag => tag);
+            } else if (key === 'tagMatch') {
+                filters.tagMatch = value === 'all' ? 'all' : 'any';
+            } else if (key === 'edited') {
+                filters.edited = value === '1' || value === 'true';
+            } else {
+                filters[key] = value;
+            }
+        });
+        return filters;
+    }
+
+    // Query string with only the filters that are set, for history.replaceState
+    function filtersToQuery(filters) {
+        const params = new URLSearchParams();
+        Object.keys(URL_NAMES).forEach(key => {
+            const value = filters[key];
+            if (value === undefined || JSON.stringify(value) === JSON.stringify(DEFAULT_FILTERS[key])) return;
+            if (typeof value === 'string' && !value.trim()) return;
+            if (key === 'tagMatch' && !(filters.tags && filters.tags.length > 1)) return;
+            params.set(URL_NAMES[key], key === 'tags' ? value.join(',') : key === 'edited' ? '1' : String(value).trim());
+        });
+        return params.toString();
+    }
+
+    function hasActiveFilters(filters) {
+        return filtersToQuery(filters) !== '';
+    }
+
+    return {
+        DEFAULT_FILTERS,
+        searchTerms,
+        parseTimecodeValue,
+        parseClockTime,
+        filterNotes,
+        createNoteMatcher,
+        parseFilterQuery,
+        filtersToQuery,
+        hasActiveFilters
+    };
+});
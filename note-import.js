@@ -0,0 +1,199 @@
+// Merging notes from an export or backup into a session: de-duplicate by note id,
+// remap users and tags, and report what would happen before doing it.
+
+const { html } = require('./show-report');
+const { sanitizeFrameRate, sanitizeTimecode } = require('./mtc');
+const { isValidNoteId } = require('./note-outbox');
+const { isValidAttachmentId, ATTACHMENT_TYPES } = require('./attachments');
+
+const TEXT_FIELDS = ['user', 'text', 'lxCue', 'lxCueList', 'lxCueLabel', 'lxPendingCue', 'soundCue', 'soundCueName', 'act', 'assignee'];
+
+// Fields compared to tell a duplicate from a conflict
+const COMPARED_FIELDS = ['text', 'status', 'assignee', 'act', 'lxCue', 'tags', 'comments'];
+
+function describeField(note, field) {
+    if (field === 'tags') return (note.tags || []).join(',');
+    if (field === 'comments') return (note.comments || []).map(comment => `${comment.user}:${comment.text}`).join('|');
+    if (field === 'status') return note.status || 'open';
+    return note[field] || null;
+}
+
+// Same author, time and text - how notes without ids (e.g. from a CSV) are matched
+function contentKey(note) {
+    return `${note.user}\u0000${note.timestamp}\u0000${note.text}`;
+}
+
+// Stored text is HTML-escaped. Exports are already escaped, but a hand-edited file may not be,
+// so html() escapes anything that isn't an entity yet. Objects and arrays are dropped
+function escapeText(value) {
+    if (typeof value === 'number') return String(value);
+    return typeof value === 'string' ? html(value) : null;
+}
+
+// User ids are ours (user-..., api, command) or a socket id - never markup
+function isSafeUserId(id) {
+    return typeof id === 'string' && /^[A-Za-z0-9_-]{1,64}$/.test(id);
+}
+
+// Edit, status and attachment records from the file, with their text escaped
+function prepareHistory(entries, fields) {
+    return (Array.isArray(entries) ? entries : []).filter(entry => entry && typeof entry === 'object').map(entry => {
+        const prepared = { ...entry };
+        fields.forEach(field => { prepared[field] = escapeText(entry[field]); });
+        return prepared;
+    });
+}
+
+function prepareAttachments(attachments) {
+    return (Array.isArray(attachments) ? attachments : [])
+        .filter(attachment => attachment && isValidAttachmentId(attachment.id) && ATTACHMENT_TYPES[attachment.type])
+        .map(attachment => ({
+            ...attachment,
+            name: escapeText(attachment.name) || 'attachment',
+            size: Number(attachment.size) || 0,
+            thumbnail: attachment.thumbnail === true
+        }));
+}
+
+// Apply user and tag remapping and escape text. userMap is { oldName: newName }, tagMap is
+// { oldTagId: newTagId } with an empty new id dropping the tag. userIds maps names to known users.
+// Comments with an id we wouldn't have made get a new one.
+function prepareNote(note, { userMap, tagMap, userIds, generateNoteId }) {
+    const mapUser = name => (typeof name === 'string' && userMap[name] ? userMap[name] : name);
+    const prepared = { ...note };
+    TEXT_FIELDS.forEach(field => {
+        if (prepared[field] !== undefined) prepared[field] = escapeText(prepared[field]);
+    });
+
+    prepared.user = escapeText(mapUser(note.user)) || 'Imported';
+    prepared.userId = isSafeUserId(note.userId) ? note.userId : null;
+    if (prepared.user !== note.user && userIds.has(prepared.user)) {
+        prepared.userId = userIds.get(prepared.user);
+    }
+    prepared.tags = (Array.isArray(note.tags) ? note.tags : [])
+        .map(tag => escapeText(Object.prototype.hasOwnProperty.call(tagMap, tag) ? tagMap[tag] : tag))
+        .filter((tag, index, tags) => tag && tags.indexOf(tag) === index);
+    prepared.comments = (Array.isArray(note.comments) ? note.comments : []).filter(comment => comment && typeof comment === 'object').map(comment => ({
+        ...comment,
+        id: isValidNoteId(comment.id) ? comment.id : generateNoteId(),
+        userId: isSafeUserId(comment.userId) ? comment.userId : null,
+        user: escapeText(mapUser(comment.user)) || 'Imported',
+        text: escapeText(comment.text) || '',
+        lastEditedBy: escapeText(comment.lastEditedBy),
+        attachments: prepareAttachments(comment.attachments)
+    }));
+    prepared.revisions = prepareHistory(note.revisions, ['user', 'text']);
+    if (prepared.revisions.length === 0) delete prepared.revisions;
+    prepared.statusHistory = prepareHistory(note.statusHistory, ['user', 'status', 'assignee']);
+    prepared.deletedBy = escapeText(note.deletedBy);
+    prepared.lastEditedBy = escapeText(note.lastEditedBy);
+    prepared.attachments = prepareAttachments(note.attachments);
+    prepared.timecode = sanitizeTimecode(note.timecode) || { hours: 0, minutes: 0, seconds: 0, frames: 0, dropFrame: false };
+    prepared.frameRate = sanitizeFrameRate(note.frameRate);
+    prepared.showElapsed = typeof note.showElapsed === 'number' && Number.isFinite(note.showElapsed) ? note.showElapsed : null;
+    prepared.timestamp = prepared.timestamp && !isNaN(new Date(prepared.timestamp)) ?
+        new Date(prepared.timestamp).toISOString() : new Date().toISOString();
+    return prepared;
+}
+
+// Work out what importing would do, without changing anything.
+// conflictMode decides what happens to a note whose id exists with different content:
+//   skip      - keep the session's version (default)
+//   replace   - use the imported version
+//   keep-both - add the imported version with a new id
+function planImport(existingNotes, importedNotes, options = {}) {
+    const {
+        userMap = {},
+        tagMap = {},
+        knownTagIds = [],
+        userIds = new Map(),
+        conflictMode = 'skip',
+        generateNoteId = () => Date.now() + Math.random().toString(36).substr(2, 9)
+    } = options;
+
+    const byId = new Map(existingNotes.map(note => [String(note.id), note]));
+    const byContent = new Map(existingNotes.map(note => [contentKey(note), note]));
+    const plan = { add: [], replace: [], duplicates: [], conflicts: [], users: [], tags: [], invalid: 0 };
+    const users = new Map();
+    const tags = new Map();
+    const seenIds = new Set();
+
+    importedNotes.forEach(original => {
+        if (!original || typeof original !== 'object' || typeof original.text !== 'string') {
+            plan.invalid++;
+            return;
+        }
+        const userName = typeof original.user === 'string' ? original.user : 'Imported';
+        users.set(userName, (users.get(userName) || 0) + 1);
+        (Array.isArray(original.tags) ? original.tags : []).forEach(tag => tags.set(tag, (tags.get(tag) || 0) + 1));
+
+        const note = prepareNote(original, { userMap, tagMap, userIds, generateNoteId });
+        // An id we wouldn't have made (it ends up in the page's markup) is treated as no id
+        const id = isValidNoteId(note.id) ? note.id : null;
+        const existing = (id && byId.get(id)) || byContent.get(contentKey(note));
+
+        // The same note twice in one file
+        if (id && seenIds.has(id)) {
+            plan.duplicates.push({ id, user: note.user, text: note.text });
+            return;
+        }
+        if (id) seenIds.add(id);
+
+        if (!existing) {
+            plan.add.push({ ...note, id: id || generateNoteId() });
+            return;
+        }
+
+        const differences = COMPARED_FIELDS.filter(field =>
+            JSON.stringify(describeField(existing, field)) !== JSON.stringify(describeField(note, field)));
+        if (differences.length === 0) {
+            plan.duplicates.push({ id: String(existing.id), user: note.user, text: note.text });
+            return;
+        }
+
+        plan.conflicts.push({
+            id: String(existing.id),
+            user: note.user,
+            existingText: existing.text,
+            importedText: note.text,
+            differences,
+            resolution: conflictMode
+        });
+        if (conflictMode === 'replace') {
+            plan.replace.push({ existing, note: { ...note, id: existing.id } });
+        } else if (conflictMode === 'keep-both') {
+            plan.add.push({ ...note, id: generateNoteId() });
+        }
+    });
+
+    plan.users = Array.from(users.entries()).map(([name, notes]) => ({
+        name,
+        notes,
+        mappedTo: userMap[name] || null
+    }));
+    plan.tags = Array.from(tags.entries()).map(([id, notes]) => ({
+        id,
+        notes,
+        known: knownTagIds.includes(id),
+        mappedTo: Object.prototype.hasOwnProperty.call(tagMap, id) ? tagMap[id] || null : undefined
+    }));
+    return plan;
+}
+
+// What the preview shows - counts and details, without the notes themselves
+function summariseImportPlan(plan) {
+    return {
+        added: plan.add.length,
+        replaced: plan.replace.length,
+        duplicates: plan.duplicates.length,
+        conflicts: plan.conflicts,
+        invalid: plan.invalid,
+        users: plan.users,
+        tags: plan.tags
+    };
+}
+
+module.exports = {
+    planImport,
+    summariseImportPlan
+};
@@ -0,0 +1,77 @@
+// Notes waiting to reach the server. index.html gives each note an id when it's written and keeps
+// it in localStorage until the server acknowledges it, so a Wi-Fi drop or a page refresh doesn't
+// lose it. The server uses the id to ignore notes it already has when the outbox is replayed.
+// Loaded with require() on the server and as a <script> (window.NoteOutbox) in the browser.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.NoteOutbox = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const NOTE_ID = /^[A-Za-z0-9_-]{8,64}$/;
+
+    function isValidNoteId(id) {
+        return typeof id === 'string' && NOTE_ID.test(id);
+    }
+
+    function createNoteId() {
+        const random = typeof crypto !== 'undefined' && crypto.randomUUID ?
+            crypto.randomUUID().replace(/-/g, '').slice(0, 16) :
+            Array.from({ length: 2 }, () => Math.random().toString(36).slice(2, 10)).join('');
+        return `${Date.now().toString(36)}-${random}`;
+    }
+
+    // storage is localStorage (or anything with getItem and setItem). Entries are
+    // { id, note, queuedAt, error } - note is what's sent with note-submit, error the
+    // server's reason for refusing it, if it did
+    function createOutbox(storage, key) {
+        let entries = [];
+        try {
+            const stored = JSON.parse(storage.getItem(key) || '[]');
+            entries = Array.isArray(stored) ? stored.filter(entry => entry && isValidNoteId(entry.id) && entry.note) : [];
+        } catch (error) {
+            entries = [];
+        }
+
+        function save() {
+            storage.setItem(key, JSON.stringify(entries));
+        }
+
+        // Adds a note, giving it an id if it hasn't got one. Returns the entry
+        function add(note, now = Date.now()) {
+            const id = isValidNoteId(note.id) ? note.id : createNoteId();
+            const entry = { id: id, note: { ...note, id: id }, queuedAt: now, error: null };
+            entries.push(entry);
+            save();
+            return entry;
+        }
+
+        // The server has the note (or already had it)
+        function remove(id) {
+            const before = entries.length;
+            entries = entries.filter(entry => entry.id !== id);
+            if (entries.length !== before) save();
+        }
+
+        function setError(id, error) {
+            const entry = entries.find(candidate => candidate.id === id);
+            if (entry) {
+                entry.error = error || null;
+                save();
+            }
+        }
+
+        function list() {
+            return entries.slice();
+        }
+
+        return { add, remove, setError, list };
+    }
+
+    return {
+        isValidNoteId,
+        createNoteId,
+        createOutbox
+    };
+});
@@ -0,0 +1,217 @@
+// The notes CSV format, shared by the server's export and recall.html's import so the two can't drift.
+// RFC 4180: every field quoted, quotes doubled, CRLF between rows, and newlines allowed inside a field.
+// Loaded with require() on the server and as a <script> (window.NotesCsv) in the browser.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.NotesCsv = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Version 1 is the original export (no Version column, comments as "user: text; ..."),
+    // version 2 adds ids and history and stores structured fields as JSON. Later columns (attachments,
+    // deletion) are only added at the end, which version 2 readers skip as unknown
+    const CSV_VERSION = 2;
+
+    const pad = value => (value || 0).toString().padStart(2, '0');
+    const orNull = value => (value === '' || value === undefined ? null : value);
+
+    // HH:MM:SS:FF, with ; before the frames for drop-frame
+    function formatTimecode(tc) {
+        if (!tc || typeof tc !== 'object') return '';
+        return `${pad(tc.hours)}:${pad(tc.minutes)}:${pad(tc.seconds)}${tc.dropFrame ? ';' : ':'}${pad(tc.frames)}`;
+    }
+
+    function parseTimecode(value) {
+        const match = String(value || '').trim().match(/^(\d+):(\d+):(\d+)([:;.])(\d+)$/);
+        if (!match) return { hours: 0, minutes: 0, seconds: 0, frames: 0 };
+        return {
+            hours: Number(match[1]),
+            minutes: Number(match[2]),
+            seconds: Number(match[3]),
+            frames: Number(match[5]),
+            dropFrame: match[4] === ';'
+        };
+    }
+
+    // HH:MM:SS from milliseconds
+    function formatShowTime(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        return `${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}`;
+    }
+
+    function parseShowTime(value) {
+        const match = String(value || '').trim().match(/^(\d+):(\d{2}):(\d{2})$/);
+        return match ? ((Number(match[1]) * 60 + Number(match[2])) * 60 + Number(match[3])) * 1000 : null;
+    }
+
+    // Frame rates are numbers apart from 'ms' for real time notes
+    function parseFrameRate(value) {
+        if (value === '') return null;
+        return isNaN(Number(value)) ? value : Number(value);
+    }
+
+    function parseJsonList(value) {
+        if (!value) return [];
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) ? parsed : [];
+    }
+
+    const joinTags = tags => (tags || []).join(', ');
+    const splitTags = value => String(value || '').split(',').map(tag => tag.trim()).filter(tag => tag);
+
+    // Columns in export order. write(note) gives the field, read(value, note) sets it on the note
+    // being built. The first seventeen are the version 1 columns, in the same order.
+    const COLUMNS = [
+        { header: 'User', write: note => note.user, read: (value, note) => { note.user = value; } },
+        { header: 'Timecode', write: note => formatTimecode(note.timecode), read: (value, note) => { note.timecode = { ...parseTimecode(value), ...note.timecode }; } },
+        { header: 'Show Time', write: note => (typeof note.showElapsed === 'number' ? formatShowTime(note.showElapsed) : ''), read: (value, note) => { note.showElapsed = parseShowTime(value); } },
+        { header: 'LX Cue', write: note => note.lxCue, read: (value, note) => { note.lxCue = orNull(value); } },
+        { header: 'LX Cue List', write: note => note.lxCueList, read: (value, note) => { note.lxCueList = orNull(value); } },
+        { header: 'LX Cue Label', write: note => note.lxCueLabel, read: (value, note) => { note.lxCueLabel = orNull(value); } },
+        { header: 'Pending LX Cue', write: note => note.lxPendingCue, read: (value, note) => { note.lxPendingCue = orNull(value); } },
+        { header: 'Sound Cue', write: note => note.soundCue, read: (value, note) => { note.soundCue = orNull(value); } },
+        { header: 'Sound Cue Name', write: note => note.soundCueName, read: (value, note) => { note.soundCueName = orNull(value); } },
+        { header: 'Frame Rate', write: note => note.frameRate, read: (value, note) => { note.frameRate = parseFrameRate(value); } },
+        { header: 'Act', write: note => note.act, read: (value, note) => { note.act = orNull(value); } },
+        { header: 'Note', write: note => note.text, read: (value, note) => { note.text = value; } },
+        { header: 'Tags', write: note => joinTags(note.tags), read: (value, note) => { note.tags = splitTags(value); } },
+        { header: 'Status', write: note => note.status || 'open', read: (value, note) => { note.status = value || 'open'; } },
+        { header: 'Assignee', write: note => note.assignee, read: (value, note) => { note.assignee = orNull(value); } },
+        { header: 'Comments', write: note => ((note.comments || []).length > 0 ? JSON.stringify(note.comments) : ''), read: (value, note) => { note.comments = parseJsonList(value); } },
+        { header: 'Timestamp', write: note => note.timestamp, read: (value, note) => { note.timestamp = value; } },
+        { header: 'Id', write: note => note.id, read: (value, note) => { if (value) note.id = value; } },
+        { header: 'User Id', write: note => note.userId, read: (value, note) => { note.userId = orNull(value); } },
+        { header: 'Timecode Source', write: note => (note.timecode ? note.timecode.source : ''), read: (value, note) => { if (value) note.timecode = { ...note.timecode, source: value }; } },
+        { header: 'Show Elapsed Ms', write: note => note.showElapsed, read: (value, note) => { note.showElapsed = value === '' ? null : Number(value); } },
+        { header: 'Status History', write: note => ((note.statusHistory || []).length > 0 ? JSON.stringify(note.statusHistory) : ''), read: (value, note) => { note.statusHistory = parseJsonList(value); } },
+        { header: 'Revisions', write: note => ((note.revisions || []).length > 0 ? JSON.stringify(note.revisions) : ''), read: (value, note) => { note.revisions = parseJsonList(value); } },
+        { header: 'Attachments', write: note => ((note.attachments || []).length > 0 ? JSON.stringify(note.attachments) : ''), read: (value, note) => { note.attachments = parseJsonList(value); } },
+        { header: 'Deleted', write: note => (note.deleted ? 'yes' : ''), read: (value, note) => { note.deleted = value === 'yes'; } },
+        { header: 'Deleted By', write: note => note.deletedBy, read: (value, note) => { note.deletedBy = orNull(value); } },
+        { header: 'Deleted At', write: note => note.deletedAt, read: (value, note) => { note.deletedAt = orNull(value); } },
+        { header: 'Version', write: () => CSV_VERSION, read: () => {} }
+    ];
+
+    function formatCsvField(value) {
+        return `"${String(value === null || value === undefined ? '' : value).replace(/"/g, '""')}"`;
+    }
+
+    function formatCsvRow(values) {
+        return values.map(formatCsvField).join(',') + '\r\n';
+    }
+
+    // Rows of fields from CSV text. Handles quoted commas, quotes and newlines, CRLF or LF line
+    // endings and a leading byte order mark. Blank lines are skipped
+    function parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        let quoted = false;
+        const input = String(text).replace(/^\uFEFF/, '');
+
+        const endField = () => {
+            row.push(field);
+            field = '';
+            quoted = false;
+        };
+        const endRow = () => {
+            const blank = row.length === 0 && field === '' && !quoted;
+            endField();
+            if (!blank) rows.push(row);
+            row = [];
+        };
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+            if (inQuotes) {
+                if (char === '"' && input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                inQuotes = true;
+                quoted = true;
+            } else if (char === ',') {
+                endField();
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                endRow();
+            } else {
+                field += char;
+            }
+        }
+        if (inQuotes) {
+            throw new Error('CSV ends inside a quoted field');
+        }
+        if (field !== '' || row.length > 0 || quoted) endRow();
+        return rows;
+    }
+
+    function notesToCsv(notes) {
+        return formatCsvRow(COLUMNS.map(column => column.header)) +
+            notes.map(note => formatCsvRow(COLUMNS.map(column => column.write(note)))).join('');
+    }
+
+    // Version 1 comments: "user: text; user: text"
+    function parseLegacyComments(value) {
+        if (!value) return [];
+        return value.split('; ').map(part => {
+            const separator = part.indexOf(': ');
+            return separator === -1 ? { user: '', text: part } : { user: part.slice(0, separator), text: part.slice(separator + 2) };
+        });
+    }
+
+    // Notes from CSV text in any version of the format. Columns can be in any order and missing
+    // ones are left out of the notes, but User and Note are required. Returns { version, notes }
+    function csvToNotes(text) {
+        const rows = parseCsv(text);
+        if (rows.length === 0) {
+            throw new Error('CSV file is empty');
+        }
+        const headers = rows[0].map(header => header.trim());
+        if (!headers.includes('User') || !headers.includes('Note')) {
+            throw new Error('CSV file missing required columns (User, Note)');
+        }
+        const versionIndex = headers.indexOf('Version');
+        const columns = headers.map(header => COLUMNS.find(column => column.header === header));
+        let version = 1;
+
+        const notes = rows.slice(1).map(values => {
+            const rowVersion = versionIndex !== -1 && values[versionIndex] ? Number(values[versionIndex]) : 1;
+            if (rowVersion > CSV_VERSION) {
+                throw new Error(`CSV was written by a newer version (format ${rowVersion})`);
+            }
+            version = Math.max(version, rowVersion);
+            const note = {};
+            columns.forEach((column, index) => {
+                if (!column) return;
+                const value = values[index] === undefined ? '' : values[index];
+                if (column.header === 'Comments' && rowVersion === 1) {
+                    note.comments = parseLegacyComments(value);
+                } else {
+                    column.read(value, note);
+                }
+            });
+            if (note.timecode && (typeof note.frameRate === 'number' || note.frameRate === 'ms')) {
+                note.timecode = { ...note.timecode, frameRate: note.frameRate };
+            }
+            return note;
+        });
+        return { version, notes };
+    }
+
+    return {
+        CSV_VERSION,
+        formatCsvField,
+        formatCsvRow,
+        parseCsv,
+        notesToCsv,
+        csvToNotes
+    };
+});
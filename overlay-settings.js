@@ -0,0 +1,156 @@
+// What the overlay shows and how, shared by overlay.html, the overlay builder and the server's
+// saved overlay profiles. Settings come from the overlay's URL (?panels=timecode,act&theme=dark)
+// or a profile in overlays.json (?profile=stream), with URL parameters on top of the profile.
+// Loaded with require() on the server and as a <script> (window.OverlaySettings) in the browser.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.OverlaySettings = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const OVERLAY_PANELS = ['timecode', 'realtime', 'lx', 'sound', 'act', 'ticker'];
+
+    // Setting types: panels and tickerTags are lists, the rest one of a few values or a number
+    const OPTIONS = {
+        layout: ['center', 'left', 'right', 'spaced'],
+        size: ['normal', 'small', 'large'],
+        theme: ['default', 'minimal', 'dark', 'light']
+    };
+
+    const DEFAULT_OVERLAY = {
+        panels: ['timecode', 'realtime', 'lx', 'sound'],
+        layout: 'center',
+        size: 'normal',
+        theme: 'default',
+        tickerTags: [],
+        tickerCount: 5,
+        banner: true,
+        flash: true
+    };
+
+    // The old display= parameter, still used by existing OBS sources
+    const LEGACY_DISPLAY = {
+        'timecode-only': ['timecode'],
+        'realtime-only': ['realtime'],
+        'lx-only': ['lx', 'sound']
+    };
+
+    const PROFILE_NAME = /^[a-z0-9][a-z0-9_-]{0,39}$/i;
+
+    function isValidProfileName(name) {
+        return typeof name === 'string' && PROFILE_NAME.test(name);
+    }
+
+    function toList(value) {
+        if (Array.isArray(value)) return value;
+        if (typeof value === 'string') return value.split(',').map(item => item.trim()).filter(item => item);
+        return null;
+    }
+
+    function toBoolean(value) {
+        if (typeof value === 'boolean') return value;
+        if (value === 'true' || value === '1' || value === 'on') return true;
+        if (value === 'false' || value === '0' || value === 'off') return false;
+        return null;
+    }
+
+    // Check settings from a profile or URL, where everything is text. Only the settings given
+    // are returned, so they can be laid over a profile. Returns { settings, warnings }
+    function parseOverlaySettings(input) {
+        const settings = {};
+        const warnings = [];
+        Object.entries(input && typeof input === 'object' ? input : {}).forEach(([key, value]) => {
+            if (key === 'panels') {
+                const panels = toList(value);
+                if (!panels || !panels.every(panel => OVERLAY_PANELS.includes(panel))) {
+                    warnings.push(`panels must be some of ${OVERLAY_PANELS.join(', ')}`);
+                } else {
+                    settings.panels = panels.filter((panel, index) => panels.indexOf(panel) === index);
+                }
+            } else if (key === 'tickerTags') {
+                const tags = toList(value);
+                if (!tags || !tags.every(tag => typeof tag === 'string')) {
+                    warnings.push('tickerTags must be a list of tag ids');
+                } else {
+                    settings.tickerTags = tags;
+                }
+            } else if (key === 'tickerCount') {
+                const count = typeof value === 'string' ? Number(value) : value;
+                if (!Number.isInteger(count) || count < 1 || count > 20) {
+                    warnings.push('tickerCount must be 1-20');
+                } else {
+                    settings.tickerCount = count;
+                }
+            } else if (key === 'banner' || key === 'flash') {
+                const enabled = toBoolean(value);
+                if (enabled === null) {
+                    warnings.push(`${key} must be true or false`);
+                } else {
+                    settings[key] = enabled;
+                }
+            } else if (OPTIONS[key]) {
+                if (!OPTIONS[key].includes(value)) {
+                    warnings.push(`${key} must be one of ${OPTIONS[key].join(', ')}`);
+                } else {
+                    settings[key] = value;
+                }
+            } else {
+                warnings.push(`unknown setting "${key}"`);
+            }
+        });
+        return { settings, warnings };
+    }
+
+    // Settings from the overlay's query string. profile is left for the caller to fetch.
+    // Returns { profile, settings, warnings }
+    function parseOverlayQuery(query) {
+        const params = new URLSearchParams(query);
+        const input = {};
+        params.forEach((value, key) => {
+            if (key === 'display') {
+                if (LEGACY_DISPLAY[value]) input.panels = LEGACY_DISPLAY[value].join(',');
+            } else if (key !== 'profile') {
+                input[key] = value;
+            }
+        });
+        return { profile: params.get('profile'), ...parseOverlaySettings(input) };
+    }
+
+    // Query string for the builder: only what differs from the defaults
+    function overlayQuery(settings, profile) {
+        const params = new URLSearchParams();
+        if (profile) params.set('profile', profile);
+        Object.keys(DEFAULT_OVERLAY).forEach(key => {
+            const value = settings[key];
+            if (value === undefined || JSON.stringify(value) === JSON.stringify(DEFAULT_OVERLAY[key])) return;
+            params.set(key, Array.isArray(value) ? value.join(',') : String(value));
+        });
+        return params.toString();
+    }
+
+    // Everything the overlay needs: defaults, then the profile, then the URL's settings
+    function resolveOverlaySettings(...layers) {
+        return Object.assign({}, DEFAULT_OVERLAY, ...layers);
+    }
+
+    // The latest notes for the ticker, newest first. No tickerTags means every note
+    function tickerNotes(notes, settings) {
+        const tags = settings.tickerTags || [];
+        return notes
+            .filter(note => tags.length === 0 || (note.tags || []).some(tag => tags.includes(tag)))
+            .slice(-settings.tickerCount)
+            .reverse();
+    }
+
+    return {
+        OVERLAY_PANELS,
+        DEFAULT_OVERLAY,
+        isValidProfileName,
+        parseOverlaySettings,
+        parseOverlayQuery,
+        overlayQuery,
+        resolveOverlaySettings,
+        tickerNotes
+    };
+});
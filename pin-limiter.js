@@ -0,0 +1,60 @@
+// Slows down PIN guessing. Each address gets a few tries, then has to wait before the next one -
+// twice as long after each further wrong PIN. Used for logins over the socket (role-login and
+// the PIN in the handshake) and for X-Pin on the HTTP endpoints.
+
+function createPinLimiter({ freeAttempts = 5, baseDelayMs = 1000, maxDelayMs = 15 * 60 * 1000, forgetAfterMs = 60 * 60 * 1000 } = {}) {
+    // address -> { failures, blockedUntil, lastFailure }
+    const addresses = new Map();
+
+    function forgetOld(now) {
+        addresses.forEach((entry, address) => {
+            if (now - entry.lastFailure > forgetAfterMs) addresses.delete(address);
+        });
+    }
+
+    // How long the address must wait before trying again, in ms (0: it can try now)
+    function waitTime(address, now = Date.now()) {
+        const entry = addresses.get(address);
+        if (!entry) return 0;
+        if (now - entry.lastFailure > forgetAfterMs) {
+            addresses.delete(address);
+            return 0;
+        }
+        return Math.max(0, entry.blockedUntil - now);
+    }
+
+    function recordFailure(address, now = Date.now()) {
+        if (addresses.size > 1000) forgetOld(now);
+        const entry = addresses.get(address) || { failures: 0, blockedUntil: 0, lastFailure: now };
+        entry.failures++;
+        entry.lastFailure = now;
+        if (entry.failures >= freeAttempts) {
+            entry.blockedUntil = now + Math.min(maxDelayMs, baseDelayMs * Math.pow(2, entry.failures - freeAttempts));
+        }
+        addresses.set(address, entry);
+    }
+
+    function recordSuccess(address) {
+        addresses.delete(address);
+    }
+
+    // Check a PIN with getRole(pin) unless the address has to wait.
+    // Returns { role, waitMs } - role is null for a wrong PIN or while waiting
+    function check(address, pin, getRole, now = Date.now()) {
+        const waitMs = waitTime(address, now);
+        if (waitMs > 0) return { role: null, waitMs };
+        const role = getRole(pin);
+        if (role) {
+            recordSuccess(address);
+        } else {
+            recordFailure(address, now);
+        }
+        return { role, waitMs: 0 };
+    }
+
+    return { waitTime, recordFailure, recordSuccess, check };
+}
+
+module.exports = {
+    createPinLimiter
+};
@@ -0,0 +1,172 @@
+const dgram = require('dgram');
+
+// QLab sends its replies back to the port a message came from, so we keep our own
+// UDP socket and do the (very small) bit of OSC encoding QLab needs ourselves
+
+// OSC strings are null terminated and padded to a multiple of 4 bytes
+function encodeOscString(text) {
+    const length = Buffer.byteLength(text);
+    const buffer = Buffer.alloc(Math.ceil((length + 1) / 4) * 4);
+    buffer.write(text);
+    return buffer;
+}
+
+function encodeOscMessage(address, args = []) {
+    const parts = [encodeOscString(address), encodeOscString(',' + args.map(arg =>
+        typeof arg === 'number' ? (Number.isInteger(arg) ? 'i' : 'f') : 's').join(''))];
+    args.forEach(arg => {
+        if (typeof arg === 'number') {
+            const buffer = Buffer.alloc(4);
+            Number.isInteger(arg) ? buffer.writeInt32BE(arg) : buffer.writeFloatBE(arg);
+            parts.push(buffer);
+        } else {
+            parts.push(encodeOscString(String(arg)));
+        }
+    });
+    return Buffer.concat(parts);
+}
+
+// Decode a message into [address, ...args] - strings, ints and floats only
+function decodeOscMessage(buffer) {
+    let offset = 0;
+    const readString = () => {
+        const end = buffer.indexOf(0, offset);
+        if (end === -1) throw new Error('unterminated OSC string');
+        const text = buffer.toString('utf8', offset, end);
+        offset = Math.ceil((end + 1) / 4) * 4;
+        return text;
+    };
+
+    const message = [readString()];
+    const typeTags = offset < buffer.length ? readString() : ',';
+    for (const type of typeTags.slice(1)) {
+        if (type === 's') {
+            message.push(readString());
+        } else if (type === 'i') {
+            message.push(buffer.readInt32BE(offset));
+            offset += 4;
+        } else if (type === 'f') {
+            message.push(buffer.readFloatBE(offset));
+            offset += 4;
+        } else {
+            throw new Error(`unsupported OSC type tag "${type}"`);
+        }
+    }
+    return message;
+}
+
+// QLab replies are /reply/<address> with a JSON string: { address, status, data }
+function parseQLabReply(message) {
+    if (!message[0].startsWith('/reply/') || typeof message[1] !== 'string') return null;
+    try {
+        const reply = JSON.parse(message[1]);
+        return reply.status === 'ok' ? reply : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Poll a QLab workspace for its running cues and playhead.
+// onChange is called with { connected, current, playhead } whenever any of them change;
+// current is the most recently started cue and stays set after it finishes, like the LX cue.
+function connectQLab({ host, port = 53000, passcode = null, pollInterval = 500 }, onChange) {
+    const socket = dgram.createSocket('udp4');
+    const state = { connected: false, current: null, playhead: null };
+    const playhead = { number: null, name: null };
+    let runningCueIds = null;
+    let lastReplyAt = 0;
+    let lastReported = JSON.stringify(state);
+
+    const send = (address, ...args) => {
+        const buffer = encodeOscMessage(address, args);
+        socket.send(buffer, 0, buffer.length, port, host, (err) => {
+            if (err) console.log('Error sending to QLab:', err.message);
+        });
+    };
+
+    const report = () => {
+        const snapshot = JSON.stringify(state);
+        if (snapshot !== lastReported) {
+            lastReported = snapshot;
+            onChange({ ...state });
+        }
+    };
+
+    socket.on('message', (buffer) => {
+        let reply;
+        try {
+            reply = parseQLabReply(decodeOscMessage(buffer));
+        } catch (error) {
+            return;
+        }
+        if (!reply) return;
+
+        lastReplyAt = Date.now();
+        state.connected = true;
+        const address = reply.address || '';
+
+        if (address.endsWith('/runningCues') && Array.isArray(reply.data)) {
+            // Groups run alongside their children - the children are the sound cues
+            const running = reply.data.filter(cue => cue.type !== 'Group' && cue.type !== 'Cue List');
+            const started = runningCueIds ? running.filter(cue => !runningCueIds.includes(cue.uniqueID)) : running;
+            runningCueIds = running.map(cue => cue.uniqueID);
+
+            if (started.length > 0) {
+                const cue = started[started.length - 1];
+                state.current = {
+                    id: cue.uniqueID,
+                    number: cue.number || '',
+                    name: cue.name || cue.listName || '',
+                    startedAt: new Date().toISOString(),
+                    running: true
+                };
+            } else if (state.current) {
+                state.current = { ...state.current, running: runningCueIds.includes(state.current.id) };
+            }
+        } else if (address.endsWith('/cue/playhead/number')) {
+            playhead.number = reply.data || null;
+        } else if (address.endsWith('/cue/playhead/displayName')) {
+            // Asked for after the number, so both halves are up to date now
+            playhead.name = reply.data || null;
+            state.playhead = playhead.number || playhead.name ?
+                { number: playhead.number || '', name: playhead.name || '' } : null;
+        }
+        report();
+    });
+
+    socket.on('error', (err) => {
+        console.log('QLab socket error:', err.message);
+    });
+
+    const poll = () => {
+        if (state.connected && Date.now() - lastReplyAt > 5000) {
+            state.connected = false;
+            runningCueIds = null;
+            report();
+        }
+        if (!state.connected && passcode) {
+            send('/connect', passcode);
+        }
+        send('/runningCues');
+        send('/cue/playhead/number');
+        send('/cue/playhead/displayName');
+    };
+
+    socket.bind(() => {
+        poll();
+    });
+    const timer = setInterval(poll, pollInterval);
+
+    return {
+        close() {
+            clearInterval(timer);
+            socket.close();
+        }
+    };
+}
+
+module.exports = {
+    connectQLab,
+    encodeOscMessage,
+    decodeOscMessage
+};
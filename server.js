@@ -3,9 +3,42 @@ const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { createMtcDecoder, formatTimecode, sanitizeFrameRate, sanitizeTimecode } = require('./mtc');
+const { parseArtTimeCode, parseOscTimecode, createTimecodeSourceManager } = require('./timecode-sources');
+const { createShowClock, applyShowClockCommand, setShowClockAct, getShowClockSnapshot, formatElapsed } = require('./show-clock');
+const { html, buildShowReport } = require('./show-report');
+const { planImport, summariseImportPlan } = require('./note-import');
+const { formatCsvRow, notesToCsv } = require('./notes-csv');
+const { DEFAULT_COMMANDS, parseCommandConfig, matchOscCommand, matchMidiCommand } = require('./commands');
+const { DEFAULT_ALERTS, parseAlertConfig, matchAlertRules, buildAlert, createAlertSender } = require('./alerts');
+const { loadConfig, describeConfig } = require('./config');
+const { isValidProfileName, parseOverlaySettings } = require('./overlay-settings');
+const { isValidNoteId } = require('./note-outbox');
+const { parseRestoreTime, createJournal } = require('./journal');
+const { ATTACHMENT_TYPES, CHUNK_BYTES, isValidAttachmentId, isImage, safeFileName, checkUploadStart, checkUpload, collectAttachments, zipPaths } = require('./attachments');
+const { createZip } = require('./zip');
+const { createPinLimiter } = require('./pin-limiter');
+
+// Settings from config.json, the environment and the command line - see config.js
+const loadedConfig = loadConfig({ argv: process.argv.slice(2), env: process.env, appDir: __dirname });
+if (loadedConfig.errors.length > 0) {
+    console.error('Invalid configuration - fix these settings and start again:');
+    loadedConfig.errors.forEach(error => console.error(`  ${error}`));
+    process.exit(1);
+}
+const config = loadedConfig.config;
+if (loadedConfig.file) {
+    console.log(`Loaded settings from ${loadedConfig.file}`);
+}
 
 const app = express();
 const server = http.createServer(app);
+// Attachments are uploaded over the socket in pieces (see attachment-upload), so messages keep
+// socket.io's 1 MB limit whatever attachments.maxMegabytes is
+const maxAttachmentBytes = Math.round(config.attachments.maxMegabytes * 1024 * 1024);
+// An upload with no piece for this long is given up on (the client waits 60 s for each reply)
+const UPLOAD_IDLE_MS = 2 * 60 * 1000;
 const io = socketIo(server);
 
 // HTML sanitization function to prevent XSS attacks (full escape)
@@ -109,6 +142,14 @@ function sanitizeNote(text) {
     return escapeHtml(text);
 }
 
+// A short field from a client (cue number, act, department...) - a trimmed, escaped string of at
+// most maxLength characters, or null if it's empty or not text at all (objects and arrays)
+function sanitizeField(value, maxLength = 100) {
+    if (typeof value === 'number' && Number.isFinite(value)) value = String(value);
+    if (typeof value !== 'string') return null;
+    return escapeHtml(value.trim().slice(0, maxLength)) || null;
+}
+
 // Sanitize user input object
 function sanitizeInput(input) {
     if (typeof input === 'string') {
@@ -140,23 +181,392 @@ app.get('/recall.html', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'recall.html'));
 });
 
+// The CSV format is shared with recall.html
+app.get('/notes-csv.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'notes-csv.js'));
+});
+
+// index.html's outbox for notes written while disconnected
+app.get('/note-outbox.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'note-outbox.js'));
+});
+
+// Search and filters, shared by index.html and recall.html
+app.get('/note-filters.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'note-filters.js'));
+});
+
+// Attachment rules and session zips, shared by index.html and recall.html
+app.get('/attachments.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'attachments.js'));
+});
+
+app.get('/zip.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'zip.js'));
+});
+
+// Read-only view of the running configuration
+app.get('/admin.html', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
+
 app.get('/overlay.html', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'overlay.html'));
 });
 
+// Builds overlay URLs and saves overlay profiles
+app.get('/overlay-builder.html', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'overlay-builder.html'));
+});
+
+// The overlay settings are shared with overlay.html and the builder
+app.get('/overlay-settings.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'overlay-settings.js'));
+});
+
 app.get('/favicon.ico', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'favicon.ico'));
 });
 
+// Show report from an export loaded into recall.html (JSON export, or just the notes from a CSV)
+app.post('/show-report', express.json({ limit: '20mb' }), (req, res) => {
+    if (!req.body || !Array.isArray(req.body.notes)) {
+        return res.status(400).send('Expected an export with a "notes" array');
+    }
+    res.type('html').send(buildShowReport(req.body));
+});
+
+// Import notes from an export or backup into the active session - admin only, PIN in X-Pin.
+// Body: { notes, tags, userMap, tagMap, conflictMode }, see note-import.js.
+// /import/preview says what would happen, /import does it
+function planSessionImport(body) {
+    const userIds = new Map();
+    globalState.identities.forEach(identity => userIds.set(identity.name, identity.id));
+    return planImport(globalState.notes, body.notes, {
+        userMap: body.userMap && typeof body.userMap === 'object' ? body.userMap : {},
+        tagMap: body.tagMap && typeof body.tagMap === 'object' ? body.tagMap : {},
+        knownTagIds: globalState.tags.map(tag => tag.id),
+        userIds: userIds,
+        conflictMode: ['skip', 'replace', 'keep-both'].includes(body.conflictMode) ? body.conflictMode : 'skip'
+    });
+}
+
+const importBody = express.json({ limit: '20mb' });
+
+function checkImportRequest(req, res) {
+    if (!checkAdminPin(req, res, 'Importing notes needs the admin PIN')) return false;
+    if (!req.body || !Array.isArray(req.body.notes)) {
+        res.status(400).json({ error: 'Expected an export with a "notes" array' });
+        return false;
+    }
+    return true;
+}
+
+app.post('/import/preview', importBody, (req, res) => {
+    if (!checkImportRequest(req, res)) return;
+    res.json({
+        session: getActiveSession().name,
+        serverTags: globalState.tags,
+        ...summariseImportPlan(planSessionImport(req.body))
+    });
+});
+
+app.post('/import', importBody, (req, res) => {
+    if (!checkImportRequest(req, res)) return;
+    const plan = planSessionImport(req.body);
+
+    plan.replace.forEach(({ existing, note }) => {
+        const index = globalState.notes.indexOf(existing);
+        globalState.notes[index] = normaliseNote(note);
+        recordNote('import', globalState.notes[index]);
+    });
+    plan.add.forEach(note => {
+        globalState.notes.push(normaliseNote(note));
+        recordNote('import', globalState.notes[globalState.notes.length - 1]);
+    });
+
+    // Tags the notes use that we don't have yet, with their names and colours from the file if it has them
+    const fileTags = Array.isArray(req.body.tags) ? req.body.tags : [];
+    const knownTagIds = new Set(globalState.tags.map(tag => tag.id));
+    let tagsChanged = false;
+    [...plan.add, ...plan.replace.map(entry => entry.note)].forEach(note => {
+        note.tags.forEach(tagId => {
+            if (knownTagIds.has(tagId)) return;
+            const fileTag = fileTags.find(tag => tag && tag.id === tagId) || {};
+            globalState.tags.push({
+                id: tagId,
+                name: (typeof fileTag.name === 'string' && html(fileTag.name)) || tagId,
+                color: /^#[0-9a-f]{3,8}$/i.test(fileTag.color) ? fileTag.color : getRandomColor()
+            });
+            knownTagIds.add(tagId);
+            tagsChanged = true;
+        });
+    });
+    if (tagsChanged) {
+        saveTagsToFile();
+        io.emit('tags-update', globalState.tags);
+    }
+
+    const summary = summariseImportPlan(plan);
+    console.log(`Imported ${summary.added} note(s) into "${getActiveSession().name}" (${summary.replaced} replaced, ${summary.duplicates} duplicate(s), ${summary.conflicts.length} conflict(s))`);
+    io.emit('notes-update', globalState.notes);
+    io.emit('sessions-update', getSessionSummaries());
+    res.json({ session: getActiveSession().name, ...summary });
+});
+
+// Photos and files attached to notes and comments (see attachments.js), kept in attachments.dir as
+// <id>.<extension>, <id>-thumbnail.jpg and <id>.json - the details that go on the note
+const attachmentsDir = config.attachments.dir;
+
+function attachmentPath(id, suffix) {
+    return path.join(attachmentsDir, `${id}${suffix}`);
+}
+
+function attachmentFilePath(attachment) {
+    return attachmentPath(attachment.id, `.${ATTACHMENT_TYPES[attachment.type].extension}`);
+}
+
+// Store a checked upload. Returns the attachment's details
+function saveAttachment(upload) {
+    const attachment = {
+        id: Date.now() + Math.random().toString(36).substr(2, 9),
+        name: safeFileName(upload.name, upload.type),
+        type: upload.type,
+        size: upload.data.length,
+        thumbnail: !!upload.thumbnail,
+        uploadedAt: new Date().toISOString()
+    };
+    fs.mkdirSync(attachmentsDir, { recursive: true });
+    fs.writeFileSync(attachmentFilePath(attachment), upload.data);
+    if (upload.thumbnail) {
+        fs.writeFileSync(attachmentPath(attachment.id, '-thumbnail.jpg'), upload.thumbnail);
+    }
+    fs.writeFileSync(attachmentPath(attachment.id, '.json'), JSON.stringify(attachment, null, 2));
+    return attachment;
+}
+
+function getAttachment(id) {
+    if (!isValidAttachmentId(id)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(attachmentPath(id, '.json'), 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+// Delete uploads that no note or comment in any session uses and that were uploaded before cutoff -
+// a note-taker who attached a photo and then cancelled the note. Returns the names of the deleted files
+function removeOrphanedAttachments(cutoff) {
+    const used = new Set(collectAttachments(globalState.sessions.flatMap(session => session.notes)).map(attachment => attachment.id));
+    let files;
+    try {
+        files = fs.readdirSync(attachmentsDir);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    const deleted = [];
+    files.filter(file => file.endsWith('.json')).forEach(file => {
+        const attachment = getAttachment(file.slice(0, -'.json'.length));
+        if (!attachment || used.has(attachment.id) || !(new Date(attachment.uploadedAt) < cutoff)) return;
+        [attachmentFilePath(attachment), attachmentPath(attachment.id, '-thumbnail.jpg'), attachmentPath(attachment.id, '.json')].forEach(filePath => {
+            try {
+                fs.unlinkSync(filePath);
+                deleted.push(path.basename(filePath));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        });
+    });
+    return deleted;
+}
+
+// The attachments for a new note or comment from the ids the client sent, skipping any we don't have
+function getAttachments(ids) {
+    return (Array.isArray(ids) ? ids : []).slice(0, config.attachments.perNote)
+        .map(getAttachment)
+        .filter(attachment => attachment);
+}
+
+// Open like the recall page. Images show in the page, anything else downloads
+app.get('/attachments/:id', (req, res) => {
+    const attachment = getAttachment(req.params.id);
+    if (!attachment) {
+        return res.status(404).send('Attachment not found');
+    }
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.type(attachment.type);
+    if (!isImage(attachment.type)) {
+        res.attachment(attachment.name);
+    }
+    res.sendFile(path.resolve(attachmentFilePath(attachment)));
+});
+
+app.get('/attachments/:id/thumbnail', (req, res) => {
+    const attachment = getAttachment(req.params.id);
+    if (!attachment || !attachment.thumbnail) {
+        return res.status(404).send('Thumbnail not found');
+    }
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.type('image/jpeg');
+    res.sendFile(path.resolve(attachmentPath(attachment.id, '-thumbnail.jpg')));
+});
+
+// REST API for scripts, spreadsheets and button boxes. Reads are open like the recall page;
+// writes need the API token as "Authorization: Bearer <token>" (security.apiToken)
+const apiToken = config.security.apiToken;
+
+function requireApiToken(req, res, next) {
+    if (!apiToken) {
+        return res.status(403).json({ error: 'REST API writes are disabled - set API_TOKEN or --api-token' });
+    }
+    const match = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+    if (!match || match[1].trim() !== apiToken) {
+        return res.status(401).json({ error: 'Missing or wrong API token' });
+    }
+    next();
+}
+
+// Stored text is escaped, so compare the query both as given and escaped
+const matchesQuery = (value, query) => value === query || value === escapeHtml(query);
+
+// GET /api/notes?act=&tag=&user=&status=&from=&to=&session= - from/to are dates or ISO times
+app.get('/api/notes', (req, res) => {
+    const session = req.query.session ? getSession(String(req.query.session)) : getActiveSession();
+    if (!session) {
+        return res.status(404).json({ error: 'No such session' });
+    }
+    const from = req.query.from ? new Date(String(req.query.from)) : null;
+    const to = req.query.to ? new Date(String(req.query.to)) : null;
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+        return res.status(400).json({ error: 'from and to must be dates or ISO times' });
+    }
+
+    const { act, tag, user, status } = req.query;
+    const notes = session.notes.filter(note => !note.deleted &&
+        (!act || matchesQuery(note.act || 'Preshow', String(act))) &&
+        (!tag || note.tags.some(noteTag => matchesQuery(noteTag, String(tag)))) &&
+        (!user || matchesQuery(note.user, String(user))) &&
+        (!status || (note.status || 'open') === status) &&
+        (!from || new Date(note.timestamp) >= from) &&
+        (!to || new Date(note.timestamp) <= to));
+    res.json({ session: { id: session.id, name: session.name }, count: notes.length, notes: notes });
+});
+
+app.get('/api/notes/:id', (req, res) => {
+    const note = findNote(req.params.id);
+    if (!note || note.deleted) {
+        return res.status(404).json({ error: 'No such note' });
+    }
+    res.json(note);
+});
+
+// POST /api/notes { text, user, tags, assignee } - timecode, cues and act are taken from now
+app.post('/api/notes', requireApiToken, express.json(), (req, res) => {
+    const body = req.body || {};
+    if (typeof body.text !== 'string' || !body.text.trim()) {
+        return res.status(400).json({ error: 'Expected a note with "text"' });
+    }
+    const tags = Array.isArray(body.tags) ? body.tags.filter(tag => typeof tag === 'string' && tag) : [];
+    const note = createNote({
+        text: body.text.trim(),
+        tags: tags,
+        assignee: typeof body.assignee === 'string' ? body.assignee : null
+    }, {
+        name: typeof body.user === 'string' && body.user.trim() ? sanitizeName(body.user.trim()) : 'API',
+        id: 'api'
+    });
+    res.status(201).json(note);
+});
+
+app.get('/api/timecode', (req, res) => {
+    res.json({
+        timecode: globalState.timecode,
+        formatted: formatTimecode(globalState.timecode),
+        timeMode: globalState.timeMode,
+        status: globalState.timecodeStatus,
+        showClock: getShowClockSnapshot(getActiveSession().showClock)
+    });
+});
+
+app.get('/api/cues', (req, res) => {
+    res.json({
+        lxCue: globalState.currentLxCue,
+        active: globalState.lxCues.active,
+        pending: globalState.lxCues.pending,
+        soundCue: globalState.currentSoundCue
+    });
+});
+
+app.get('/api/tags', (req, res) => {
+    res.json(globalState.tags);
+});
+
+app.get('/api/act', (req, res) => {
+    res.json({ act: globalState.currentAct, history: getActiveSession().actHistory });
+});
+
+app.get('/api/status', (req, res) => {
+    res.json({
+        ...getSystemStatus(),
+        session: { id: getActiveSession().id, name: getActiveSession().name },
+        users: Array.from(globalState.users.values()).filter(user => !user.isOverlay).length
+    });
+});
+
+// The settings the server started with and where each came from - admin only, PIN in X-Pin
+app.get('/api/config', (req, res) => {
+    if (!checkAdminPin(req, res, 'The configuration needs the admin PIN')) return;
+    res.json({ file: loadedConfig.file, settings: describeConfig(loadedConfig) });
+});
+
+// Saved overlay profiles, fetched by overlay.html?profile=<name>. Saving or deleting needs the admin PIN in X-Pin
+app.get('/api/overlays', (req, res) => {
+    res.json({ profiles: overlayProfiles });
+});
+
+app.get('/api/overlays/:name', (req, res) => {
+    if (!Object.prototype.hasOwnProperty.call(overlayProfiles, req.params.name)) {
+        return res.status(404).json({ error: 'No such overlay profile' });
+    }
+    res.json({ name: req.params.name, settings: overlayProfiles[req.params.name] });
+});
+
+app.put('/api/overlays/:name', express.json(), (req, res) => {
+    if (!checkAdminPin(req, res, 'Saving overlay profiles needs the admin PIN')) return;
+    if (!isValidProfileName(req.params.name)) {
+        return res.status(400).json({ error: 'Profile names are letters, numbers, - and _ (up to 40)' });
+    }
+    const { settings, warnings } = parseOverlaySettings(req.body);
+    if (warnings.length > 0) {
+        return res.status(400).json({ error: warnings.join('; ') });
+    }
+    overlayProfiles[req.params.name] = settings;
+    saveOverlayProfiles();
+    io.emit('overlay-profile-update', { name: req.params.name, settings: settings });
+    res.json({ name: req.params.name, settings: settings });
+});
+
+app.delete('/api/overlays/:name', (req, res) => {
+    if (!checkAdminPin(req, res, 'Deleting overlay profiles needs the admin PIN')) return;
+    if (!Object.prototype.hasOwnProperty.call(overlayProfiles, req.params.name)) {
+        return res.status(404).json({ error: 'No such overlay profile' });
+    }
+    delete overlayProfiles[req.params.name];
+    saveOverlayProfiles();
+    io.emit('overlay-profile-update', { name: req.params.name, settings: null });
+    res.status(204).end();
+});
+
 // Load tags from JSON file
 let tags = [];
 try {
-    const tagsData = fs.readFileSync(path.join(__dirname, 'tags.json'), 'utf8');
+    const tagsData = fs.readFileSync(config.files.tags, 'utf8');
     const tagsConfig = JSON.parse(tagsData);
     tags = tagsConfig.tags;
-    console.log(`Loaded ${tags.length} tags from tags.json`);
+    console.log(`Loaded ${tags.length} tags from ${path.basename(config.files.tags)}`);
 } catch (error) {
-    console.log('Error loading tags.json, using default tags:', error.message);
+    console.log(`Error loading ${config.files.tags}, using default tags:`, error.message);
     tags = [
         { id: 'safety', name: 'Safety/Show Critical', color: '#E63946' },
         { id: 'lighting', name: 'Lighting', color: '#00B4D8' },
@@ -167,15 +577,69 @@ try {
     ];
 }
 
-// Function to save tags to file
+// Function to save tags to file (and the journal, so a restore brings them back)
 function saveTagsToFile() {
+    recordEvent({ type: 'tags', tags: globalState.tags });
     try {
-        fs.writeFileSync(path.join(__dirname, 'tags.json'), JSON.stringify({ tags: tags }, null, 2));
+        fs.writeFileSync(config.files.tags, JSON.stringify({ tags: globalState.tags }, null, 2));
     } catch (error) {
         console.log('Error saving tags to file:', error.message);
     }
 }
 
+// OSC and MIDI commands from commands.json (files.commands)
+const commandsPath = config.files.commands;
+let commands;
+try {
+    commands = parseCommandConfig(JSON.parse(fs.readFileSync(commandsPath, 'utf8')));
+    console.log(`Loaded ${commands.osc.length} OSC and ${commands.midi.length} MIDI command(s) from ${path.basename(commandsPath)}`);
+} catch (error) {
+    console.log(`Error loading ${commandsPath}, using default commands:`, error.message);
+    commands = parseCommandConfig(DEFAULT_COMMANDS);
+}
+commands.warnings.forEach(warning => console.log(`Ignoring command ${warning}`));
+
+// Alerts for notes with given tags from alerts.json (files.alerts)
+const alertsPath = config.files.alerts;
+let alertConfig;
+try {
+    alertConfig = parseAlertConfig(JSON.parse(fs.readFileSync(alertsPath, 'utf8')));
+    console.log(`Loaded ${alertConfig.rules.length} alert rule(s) from ${path.basename(alertsPath)}`);
+} catch (error) {
+    console.log(`Error loading ${alertsPath}, using the default safety alert:`, error.message);
+    alertConfig = parseAlertConfig(DEFAULT_ALERTS);
+}
+alertConfig.warnings.forEach(warning => console.log(`Ignoring alert ${warning}`));
+const alertSender = createAlertSender();
+
+// Overlay profiles from overlays.json (files.overlays): { "profiles": { "<name>": { settings } } }
+let overlayProfiles = {};
+try {
+    const overlaysConfig = JSON.parse(fs.readFileSync(config.files.overlays, 'utf8'));
+    Object.entries(overlaysConfig.profiles || {}).forEach(([name, profile]) => {
+        const { settings, warnings } = parseOverlaySettings(profile);
+        if (!isValidProfileName(name)) {
+            console.log(`Ignoring overlay profile "${name}": names are letters, numbers, - and _`);
+            return;
+        }
+        warnings.forEach(warning => console.log(`Overlay profile "${name}": ignoring ${warning}`));
+        overlayProfiles[name] = settings;
+    });
+    console.log(`Loaded ${Object.keys(overlayProfiles).length} overlay profile(s) from ${path.basename(config.files.overlays)}`);
+} catch (error) {
+    if (error.code !== 'ENOENT') {
+        console.log(`Error loading ${config.files.overlays}, no overlay profiles:`, error.message);
+    }
+}
+
+function saveOverlayProfiles() {
+    try {
+        fs.writeFileSync(config.files.overlays, JSON.stringify({ profiles: overlayProfiles }, null, 2));
+    } catch (error) {
+        console.log('Error saving overlay profiles to file:', error.message);
+    }
+}
+
 // Global state
 const globalState = {
     timecode: {
@@ -186,91 +650,751 @@ const globalState = {
         frameRate: 30,
         source: 'midi'
     },
-    notes: [],
-    chatMessages: [],
+    sessions: [],
+    activeSessionId: null,
     users: new Map(),
     timeMode: 'midi',
     tags: tags,
     currentLxCue: '1',
+    // Active and pending cues from the Eos console: { list, number, label, firedAt }
+    lxCues: { active: null, pending: null },
+    // Most recently started QLab cue { number, name, startedAt, running } and the cue at the playhead
+    currentSoundCue: null,
+    soundPlayhead: null,
     currentAct: 'Preshow',
-    anonymousUsers: new Map()
+    // Status of the live timecode source: waiting, running, freewheel, lost or located - see mtc.js
+    timecodeStatus: { status: 'waiting', direction: 'forward', source: null, order: [] },
+    // Alert banners showing on every client until someone acknowledges them - see alerts.js
+    alerts: [],
+    anonymousUsers: new Map(),
+    // Client identity token -> stable user record, so a reconnect is the same person
+    identities: new Map(),
+
+    // Notes and chat belong to the active session
+    get notes() {
+        return getActiveSession().notes;
+    },
+    set notes(notes) {
+        getActiveSession().notes = notes;
+    },
+    get chatMessages() {
+        return getActiveSession().chatMessages;
+    },
+    set chatMessages(messages) {
+        getActiveSession().chatMessages = messages;
+    }
 };
 
+// Every change to notes, sessions, acts, chat, tags and identities goes in the journal (see
+// journal.js) before it's sent to anyone. It's started once the state has been restored at startup
+const journal = createJournal(config.backups.dir);
+let journalStarted = false;
+
+function recordEvent(event) {
+    if (!journalStarted) return;
+    try {
+        journal.append(event);
+    } catch (error) {
+        console.log('Error writing to the journal:', error.message);
+    }
+}
+
+// action is what happened to the note, e.g. edit or comment-add - the whole note is recorded
+function recordNote(action, note) {
+    const session = globalState.sessions.find(candidate => candidate.notes.includes(note)) || getActiveSession();
+    recordEvent({ type: 'note', action: action, sessionId: session.id, note: note });
+}
+
+// Show sessions - one per rehearsal/performance, e.g. "Dress 2 – 14 Oct"
+// Only the active session is open; starting or reopening a session closes the previous one
+function createSession(name) {
+    const now = new Date();
+    const session = {
+        id: generateId(),
+        name: escapeHtml(typeof name === 'string' ? name.trim() : '') || `Session ${now.toLocaleString()}`,
+        createdAt: now.toISOString(),
+        closedAt: null,
+        notes: [],
+        chatMessages: [],
+        actHistory: [{ act: 'Preshow', timestamp: now.toISOString() }],
+        cueHistory: [],
+        // Elapsed show time and running time per act - see show-clock.js
+        showClock: createShowClock()
+    };
+    globalState.sessions.push(session);
+    recordEvent({ type: 'session', session: session });
+    return session;
+}
+
+function getActiveSession() {
+    return globalState.sessions.find(session => session.id === globalState.activeSessionId);
+}
+
+function getSession(sessionId) {
+    return globalState.sessions.find(session => session.id === sessionId);
+}
+
+// Make a session the active one, closing whichever session was active before
+function activateSession(session) {
+    const previous = getActiveSession();
+    if (previous && previous !== session) {
+        previous.closedAt = new Date().toISOString();
+    }
+    session.closedAt = null;
+    globalState.activeSessionId = session.id;
+    recordEvent({ type: 'activate', sessionId: session.id });
+
+    const lastAct = session.actHistory[session.actHistory.length - 1];
+    globalState.currentAct = lastAct ? lastAct.act : 'Preshow';
+}
+
+// Record an act change in the active session's act history, and start timing the new act
+function setCurrentAct(act) {
+    const session = getActiveSession();
+    const entry = { act: act, timestamp: new Date().toISOString() };
+    globalState.currentAct = act;
+    session.actHistory.push(entry);
+    setShowClockAct(session.showClock, act);
+    recordEvent({ type: 'act', sessionId: session.id, entry: entry, showClock: session.showClock });
+    broadcastShowClock();
+}
+
+function runShowClockCommand(command) {
+    const clock = getActiveSession().showClock;
+    if (!applyShowClockCommand(clock, command, globalState.currentAct)) return false;
+    recordEvent({ type: 'show-clock', sessionId: globalState.activeSessionId, showClock: clock });
+    console.log(`Show clock ${command} at ${formatElapsed(getShowClockSnapshot(clock).elapsedMs)}`);
+    broadcastShowClock();
+    return true;
+}
+
+function broadcastShowClock() {
+    io.emit('show-clock-update', getShowClockSnapshot(getActiveSession().showClock));
+}
+
+// Record a GO on the Eos in the active session's cue history, with the timecode at the time.
+// A fire event and the active cue text both report the same GO, so merge them
+function recordCueGo(cue, firedAt) {
+    const cueHistory = getActiveSession().cueHistory;
+    const last = cueHistory[cueHistory.length - 1];
+    if (last && isSameCue(last, cue) && Math.abs(new Date(firedAt) - new Date(last.firedAt)) < 2000) {
+        return;
+    }
+    const entry = {
+        list: cue.list,
+        number: cue.number,
+        label: cue.label || '',
+        firedAt: firedAt,
+        timecode: { ...globalState.timecode }
+    };
+    cueHistory.push(entry);
+    recordEvent({ type: 'cue', sessionId: globalState.activeSessionId, entry: entry });
+    io.emit('cue-history-update', cueHistory);
+}
+
+// A note in any session, deleted or not
+function findNote(id) {
+    return globalState.sessions.reduce((found, session) =>
+        found || session.notes.find(candidate => String(candidate.id) === String(id)), null);
+}
+
+// When a note was written. Notes from the outbox arrive late, so the client sends the time
+// (by the server's clock) - anything unlikely is replaced with now
+function getNoteTimestamp(timestamp) {
+    const now = Date.now();
+    const written = typeof timestamp === 'string' ? Date.parse(timestamp) : NaN;
+    if (Number.isNaN(written) || written > now + 60 * 1000 || written < now - 24 * 60 * 60 * 1000) {
+        return new Date(now).toISOString();
+    }
+    return new Date(written).toISOString();
+}
+
+// Add a note to the active session from the note form or the REST API and send it to everyone.
+// Anything the note-taker didn't freeze (timecode, cues) comes from the current state
+// data.id, data.timestamp and data.act come from clients that wrote the note earlier - callers
+// check the id isn't taken
+function createNote(data, author) {
+    const noteTimecode = sanitizeTimecode(data.timecode) || {...globalState.timecode};
+    
+    // Cue details come frozen from the client, falling back to what the console has now
+    const { active, pending } = globalState.lxCues;
+    const cueFromClient = data.lxCue !== undefined && data.lxCue !== null;
+    
+    const note = {
+        id: isValidNoteId(data.id) ? data.id : Date.now() + Math.random().toString(36).substr(2, 9),
+        user: author.name,
+        userId: author.id,
+        text: sanitizeNote(data.text),
+        timecode: noteTimecode,
+        lxCue: sanitizeField(data.lxCue) || globalState.currentLxCue,
+        lxCueList: cueFromClient ? sanitizeField(data.lxCueList) : (active ? active.list : null),
+        lxCueLabel: cueFromClient ? sanitizeField(data.lxCueLabel, 200) : (active ? active.label : null),
+        lxPendingCue: cueFromClient ? sanitizeField(data.lxPendingCue) : (pending ? pending.number : null),
+        soundCue: data.soundCue !== undefined ? sanitizeField(data.soundCue) :
+            (globalState.currentSoundCue ? escapeHtml(globalState.currentSoundCue.number) : null),
+        soundCueName: data.soundCue !== undefined ? sanitizeField(data.soundCueName, 200) :
+            (globalState.currentSoundCue ? escapeHtml(globalState.currentSoundCue.name) : null),
+        timestamp: getNoteTimestamp(data.timestamp),
+        frameRate: sanitizeFrameRate(data.frameRate) || globalState.timecode.frameRate,
+        // Time into the show when taken in show clock mode
+        showElapsed: Number.isFinite(data.showElapsed) && data.showElapsed >= 0 ? Math.round(data.showElapsed) :
+            (globalState.timeMode === 'showclock' ? getShowClockSnapshot(getActiveSession().showClock).elapsedMs : null),
+        tags: Array.isArray(data.tags) ? data.tags.map(tag => sanitizeField(tag)).filter(tag => tag) : [],
+        act: sanitizeField(data.act) || globalState.currentAct,
+        comments: [],
+        // Uploaded beforehand with attachment-upload
+        attachments: getAttachments(data.attachments),
+        status: 'open',
+        assignee: sanitizeField(data.assignee),
+        statusHistory: [],
+        deleted: false,
+        deletedBy: null,
+        deletedAt: null
+    };
+    // Every version of the text, oldest first - the last entry is the current text
+    note.revisions = [{
+        text: note.text,
+        user: note.user,
+        userId: note.userId,
+        timestamp: note.timestamp
+    }];
+    
+    globalState.notes.push(note);
+    recordNote('add', note);
+    
+    io.emit('note-added', note);
+    io.emit('notes-update', globalState.notes);
+    raiseNoteAlerts(note, 'created');
+    return note;
+}
+
+// Send a note's alerts (see alerts.js) after it's created or changed. previousTags are the
+// note's tags before the change, so adding a safety tag counts as a new safety note
+function raiseNoteAlerts(note, event, previousTags = note.tags) {
+    const matches = matchAlertRules(alertConfig.rules, note, event, previousTags);
+    if (matches.length === 0) return;
+
+    let bannersChanged = false;
+    matches.forEach(({ rule, event: alertEvent, matchedTags }) => {
+        const alert = buildAlert(note, alertEvent, matchedTags, {
+            id: Date.now() + Math.random().toString(36).substr(2, 9),
+            session: getActiveSession().name
+        });
+        console.log(`Alert: ${alertEvent} ${matchedTags.join(', ')} note from ${alert.user}: ${alert.text}`);
+        alertSender.send(rule, alert).then(results => results.forEach(result => {
+            if (!result.ok) console.log(`Alert ${result.type} failed:`, result.error);
+        })).catch(error => console.log('Alert failed:', error.message));
+        if (rule.banner && !bannersChanged) {
+            // One banner per note, showing the latest
+            globalState.alerts = globalState.alerts.filter(existing => existing.noteId !== note.id);
+            globalState.alerts.push({ ...alert, sound: rule.sound });
+            bannersChanged = true;
+        }
+    });
+    if (bannersChanged) {
+        io.emit('alerts-update', globalState.alerts);
+    }
+}
+
+// Carry out a command from OSC or MIDI (see commands.js). source is for the log, e.g. "OSC /bts/note/mark"
+function runCommand(command, source) {
+    if (command.action === 'note') {
+        const note = createNote({ text: command.text, tags: command.tags }, { name: escapeHtml(command.user), id: 'command' });
+        console.log(`${source}: note "${note.text}" at ${formatTimecode(note.timecode)}, LX ${note.lxCue}`);
+    } else if (command.action === 'act') {
+        if (command.act !== globalState.currentAct) {
+            setCurrentAct(command.act);
+            console.log(`${source}: updated current act to ${command.act}`);
+            io.emit('act-update', command.act);
+        }
+    } else if (command.action === 'show-clock') {
+        runShowClockCommand(command.command);
+    }
+}
+
+// Session list sent to clients (without notes and chat)
+function getSessionSummaries() {
+    return {
+        activeSessionId: globalState.activeSessionId,
+        sessions: globalState.sessions.map(session => ({
+            id: session.id,
+            name: session.name,
+            createdAt: session.createdAt,
+            closedAt: session.closedAt,
+            noteCount: session.notes.filter(note => !note.deleted).length
+        }))
+    };
+}
+
+activateSession(createSession());
+
+// Note lifecycle: open -> acknowledged -> fixed -> verified / won't fix
+const NOTE_STATUSES = ['open', 'acknowledged', 'fixed', 'verified', 'wont-fix'];
+
+// Roles, lowest to highest: viewers are read-only, note-takers can add notes and edit their own,
+// admins (DSM/production manager) can edit anything and change global settings.
+// Without a note-taker PIN everyone starts as a note-taker; with one, everyone starts as a viewer.
+const ROLES = ['viewer', 'notetaker', 'admin'];
+const adminPinGenerated = !config.security.adminPin;
+const adminPin = config.security.adminPin || String(crypto.randomInt(10000000, 100000000));
+const notetakerPin = config.security.notetakerPin;
+
+function getRoleForPin(pin) {
+    if (typeof pin !== 'string' || !pin) return null;
+    if (pin === adminPin) return 'admin';
+    if (notetakerPin && pin === notetakerPin) return 'notetaker';
+    return null;
+}
+
+// Wrong PINs from an address slow it down (see pin-limiter.js), so PINs can't be guessed
+const pinLimiter = createPinLimiter();
+
+// Socket and request addresses, the same for both (IPv4 clients show up as ::ffff:1.2.3.4)
+function clientAddress(address) {
+    return String(address || '').replace(/^::ffff:/, '');
+}
+
+// Check a PIN from an address. Returns { role, waitMs } - waitMs is set while it has to wait.
+// No PIN at all (e.g. a request without X-Pin) isn't a guess, so it doesn't count against the address
+function checkPin(address, pin) {
+    if (typeof pin !== 'string' || !pin) return { role: null, waitMs: 0 };
+    return pinLimiter.check(clientAddress(address), pin, getRoleForPin);
+}
+
+// For HTTP endpoints with the admin PIN in X-Pin. Sends the refusal and returns false if it's wrong
+function checkAdminPin(req, res, message) {
+    const { role, waitMs } = checkPin(req.socket.remoteAddress, req.get('X-Pin') || '');
+    if (waitMs > 0) {
+        res.set('Retry-After', String(Math.ceil(waitMs / 1000)));
+        res.status(429).json({ error: `Too many wrong PINs - try again in ${Math.ceil(waitMs / 1000)} s` });
+        return false;
+    }
+    if (role !== 'admin') {
+        res.status(403).json({ error: message });
+        return false;
+    }
+    return true;
+}
+
+function hasRole(user, role) {
+    return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// Restore the state on startup (see the Backups section of the README):
+// --restore=latest (or RESTORE_BACKUP) loads the newest snapshot and replays the journal, falling
+// back to the newest backups/backup-*.json from before the journal; a time (20:41 or
+// 2025-10-14T20:41) restores the state as it was then; a file name loads that backup or snapshot;
+// "none" starts fresh
+const backupDir = config.backups.dir;
+let restoredBackup = null;
+
+function findLatestBackup() {
+    try {
+        const files = fs.readdirSync(backupDir)
+            .filter(file => /^backup-.*\.json$/.test(file))
+            .sort();
+        return files.length > 0 ? path.join(backupDir, files[files.length - 1]) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Fill in fields that notes from older backups and imported files may not have
+function normaliseNote(note) {
+    return {
+        ...note,
+        tags: Array.isArray(note.tags) ? note.tags : [],
+        comments: Array.isArray(note.comments) ? note.comments : [],
+        attachments: Array.isArray(note.attachments) ? note.attachments : [],
+        status: NOTE_STATUSES.includes(note.status) ? note.status : 'open',
+        assignee: note.assignee || null,
+        statusHistory: Array.isArray(note.statusHistory) ? note.statusHistory : [],
+        deleted: !!note.deleted,
+        deletedBy: note.deletedBy || null,
+        deletedAt: note.deletedAt || null,
+        // Older backups only recorded the last edit
+        revisions: Array.isArray(note.revisions) ? note.revisions : [{
+            text: note.text,
+            user: note.lastEditedBy || note.user,
+            userId: note.lastEdited ? null : note.userId,
+            timestamp: note.lastEdited || note.timestamp
+        }]
+    };
+}
+
+// Replace the state with a backup, snapshot or replayed journal. Returns what was restored, for the status panel
+function loadBackupData(backupData) {
+    if (Array.isArray(backupData.sessions) && backupData.sessions.length > 0) {
+        globalState.sessions = backupData.sessions.map(session => ({
+            ...session,
+            closedAt: session.closedAt || null,
+            notes: Array.isArray(session.notes) ? session.notes.map(normaliseNote) : [],
+            chatMessages: Array.isArray(session.chatMessages) ? session.chatMessages.slice(-config.chat.historyLength) : [],
+            actHistory: Array.isArray(session.actHistory) ? session.actHistory : [],
+            cueHistory: Array.isArray(session.cueHistory) ? session.cueHistory : [],
+            // A clock that was running keeps running, counting the time the server was down
+            showClock: session.showClock && Array.isArray(session.showClock.acts) ? session.showClock : createShowClock()
+        }));
+        globalState.activeSessionId = null;
+        activateSession(getSession(backupData.activeSessionId) || globalState.sessions[globalState.sessions.length - 1]);
+    } else if (Array.isArray(backupData.notes)) {
+        // Backups from before sessions existed hold a single notes list
+        globalState.notes = backupData.notes.map(normaliseNote);
+        getActiveSession().name = 'Restored session';
+
+        // Pick up the act of the last note so new notes carry on where the session stopped
+        const lastNote = globalState.notes[globalState.notes.length - 1];
+        if (lastNote && lastNote.act) {
+            setCurrentAct(lastNote.act);
+        }
+    } else {
+        throw new Error('backup has no notes array');
+    }
+
+    (Array.isArray(backupData.identities) ? backupData.identities : []).forEach(({ token, ...identity }) => {
+        if (token && identity.id) {
+            globalState.identities.set(token, identity);
+        }
+    });
+
+    // Rebuild tags: keep tags saved in the backup and any tag ids used by notes
+    let tagsChanged = false;
+    const knownTagIds = new Set(globalState.tags.map(tag => tag.id));
+    (Array.isArray(backupData.tags) ? backupData.tags : []).forEach(tag => {
+        if (tag && tag.id && !knownTagIds.has(tag.id)) {
+            globalState.tags.push({ id: tag.id, name: tag.name || tag.id, color: tag.color || getRandomColor() });
+            knownTagIds.add(tag.id);
+            tagsChanged = true;
+        }
+    });
+    globalState.sessions.forEach(session => {
+        session.notes.forEach(note => {
+            note.tags.forEach(tagId => {
+                if (!knownTagIds.has(tagId)) {
+                    globalState.tags.push({ id: tagId, name: tagId, color: getRandomColor() });
+                    knownTagIds.add(tagId);
+                    tagsChanged = true;
+                }
+            });
+        });
+    });
+    if (tagsChanged) {
+        saveTagsToFile();
+    }
+
+    return {
+        exportedAt: backupData.exportedAt || null,
+        session: getActiveSession().name,
+        sessions: globalState.sessions.length,
+        notes: globalState.notes.length,
+        comments: globalState.notes.reduce((count, note) => count + note.comments.length, 0)
+    };
+}
+
+function logRestore(restored) {
+    const from = restored.events ? `${restored.file} and ${restored.events} journal event(s)` : restored.file;
+    const asOf = restored.restoredTo ? ` as of ${new Date(restored.restoredTo).toLocaleString()}` : '';
+    console.log(`Restored ${restored.notes} notes and ${restored.comments} comments in "${restored.session}" (${restored.sessions} session(s))${asOf} from ${from}`);
+}
+
+function restoreFromJournal(until) {
+    try {
+        const loaded = journal.load(until);
+        if (loaded.skipped > 0) {
+            console.log(`Skipped ${loaded.skipped} unreadable line(s) in the journal`);
+        }
+        restoredBackup = {
+            file: loaded.snapshot || 'journal',
+            events: loaded.events,
+            restoredTo: until ? until.toISOString() : null,
+            ...loadBackupData(loaded.state)
+        };
+        logRestore(restoredBackup);
+    } catch (error) {
+        console.log('Error restoring from the journal:', error.message);
+    }
+}
+
+function restoreFromBackup() {
+    const requested = config.backups.restore;
+    if (requested === 'none') {
+        console.log('Backup restore disabled - starting with an empty session');
+        return;
+    }
+
+    const restoreTime = parseRestoreTime(requested);
+    if (restoreTime || (requested === 'latest' && journal.exists())) {
+        restoreFromJournal(restoreTime);
+        return;
+    }
+
+    let backupPath;
+    if (requested === 'latest') {
+        backupPath = findLatestBackup();
+        if (!backupPath) {
+            console.log('No backups found - starting with an empty session');
+            return;
+        }
+    } else {
+        // Accept a bare filename from backups/ or any path
+        backupPath = fs.existsSync(path.join(backupDir, requested)) ?
+            path.join(backupDir, requested) : path.resolve(requested);
+    }
+
+    try {
+        restoredBackup = {
+            file: path.basename(backupPath),
+            events: 0,
+            restoredTo: null,
+            ...loadBackupData(JSON.parse(fs.readFileSync(backupPath, 'utf8')))
+        };
+        logRestore(restoredBackup);
+    } catch (error) {
+        console.log(`Error restoring backup ${backupPath}:`, error.message);
+    }
+}
+
+restoreFromBackup();
+
+// Start the journal from a snapshot of what was restored. The journal written before is kept, so
+// going back too far can be put right by restoring to a later time
+try {
+    journal.compact(getBackupData());
+    journalStarted = true;
+} catch (error) {
+    console.log(`Error starting the journal in ${backupDir} - changes will not be saved:`, error.message);
+}
+
 // Try to use EasyMIDI
+// The input is picked by --midi-input / MIDI_INPUT (a port name, part of one, a /regex/ or "none"),
+// otherwise the second port if there are two or more, else the first. The admin can switch it live.
+let easymidi = null;
 let midiInput = null;
 let openedPortName = 'None';
-let mtcMessagesReceived = 0;
+let midiPorts = [];
+let midiPortChoice = config.midi.input;
 
 try {
-    const easymidi = require('easymidi');
+    easymidi = require('easymidi');
     console.log('EasyMIDI module loaded successfully');
-    
-    const inputs = easymidi.getInputs();
-    console.log('Available MIDI inputs:', inputs);
-    
-    if (inputs.length > 1) {
-        const inputName = inputs[1];
-        midiInput = new easymidi.Input(inputName);
-        openedPortName = inputName;
-        globalState.timecode.source = 'midi';
-    } else if (inputs.length > 0) {
-        const inputName = inputs[0];
-        midiInput = new easymidi.Input(inputName);
-        openedPortName = inputName;
+} catch (error) {
+    console.log('EasyMIDI not available:', error.message);
+}
+
+function matchesMidiPort(portName, pattern) {
+    const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+    if (regexMatch) {
+        try {
+            return new RegExp(regexMatch[1], regexMatch[2]).test(portName);
+        } catch (error) {
+            return false;
+        }
+    }
+    return portName.toLowerCase().includes(pattern.toLowerCase());
+}
+
+function pickMidiPort(ports) {
+    if (midiPortChoice === 'none') return null;
+    if (midiPortChoice) {
+        return ports.find(port => port === midiPortChoice) ||
+            ports.find(port => matchesMidiPort(port, midiPortChoice)) || null;
+    }
+    return ports.length > 1 ? ports[1] : (ports[0] || null);
+}
+
+function closeMidiInput() {
+    if (!midiInput) return;
+    try {
+        midiInput.removeAllListeners();
+        midiInput.close();
+    } catch (error) {
+        console.log('Error closing MIDI input:', error.message);
+    }
+    midiInput = null;
+    openedPortName = 'None';
+}
+
+function openMidiInput(portName) {
+    closeMidiInput();
+    try {
+        midiInput = new easymidi.Input(portName);
+        midiInput.on('message', mtcDecoder.handleMidiMessage);
+        midiInput.on('message', (message) => {
+            const command = matchMidiCommand(commands, message);
+            if (command) {
+                runCommand(command, `MIDI ${message._type} on channel ${message.channel + 1}`);
+            }
+        });
+        openedPortName = portName;
         globalState.timecode.source = 'midi';
+        console.log(`Listening for MIDI timecode on "${portName}"`);
+        return true;
+    } catch (error) {
+        console.log(`Error opening MIDI input "${portName}":`, error.message);
+        midiInput = null;
+        return false;
+    }
+}
+
+// Rescan the MIDI ports: opens the chosen port when it's plugged in late and
+// lets go of it when it disappears. Returns true if anything changed.
+function scanMidiPorts() {
+    if (!easymidi) return false;
+
+    let ports;
+    try {
+        ports = easymidi.getInputs();
+    } catch (error) {
+        console.log('Error listing MIDI inputs:', error.message);
+        return false;
+    }
+    const portsChanged = ports.join('\n') !== midiPorts.join('\n');
+    midiPorts = ports;
+    if (portsChanged) {
+        console.log('Available MIDI inputs:', ports);
+    }
+
+    let inputChanged = false;
+    if (midiInput && !ports.includes(openedPortName)) {
+        console.log(`MIDI input "${openedPortName}" has gone away`);
+        closeMidiInput();
+        inputChanged = true;
+    }
+    if (!midiInput) {
+        const portName = pickMidiPort(ports);
+        if (portName && openMidiInput(portName)) {
+            inputChanged = true;
+        }
+    }
+    return portsChanged || inputChanged;
+}
+
+// OSC Server for LX Cues and scenes from qlab
+let oscServer = null;
+let eosClient = null;
+const oscPort = config.osc.port;
+
+// Eos console to subscribe to - without an IP we just listen for whatever it sends
+const eosConsole = {
+    host: config.eos.ip,
+    port: config.eos.port,
+    connected: false,
+    lastMessageAt: null
+};
+
+// Parse Eos cue text like "1/199 B/O 1.0 2%" into list, number and label
+function parseEosCueText(text) {
+    const match = String(text).trim().match(/^(\d+)\/(\S+)\s*(.*)$/);
+    if (!match) return null;
+
+    // The label is followed by the cue time and, for the active cue, percent complete
+    const words = match[3].split(/\s+/).filter(word => word);
+    if (words.length > 0 && /^\d+%$/.test(words[words.length - 1])) words.pop();
+    if (words.length > 0 && /^[\d.:]+$/.test(words[words.length - 1])) words.pop();
+
+    return {
+        list: match[1],
+        number: match[2],
+        label: words.join(' ')
+    };
+}
+
+function isSameCue(a, b) {
+    return !!a && !!b && a.list === b.list && a.number === b.number;
+}
+
+function broadcastLxCues() {
+    io.emit('lx-cue-update', globalState.currentLxCue);
+    io.emit('lx-cues-update', globalState.lxCues);
+}
+
+// Fire events can arrive just before the active cue text, so hold on to the last one
+let lastCueFire = null;
+
+function handleEosMessage(address, value) {
+    if (address === '/eos/out/active/cue/text') {
+        // Sent on every percent change - only act when the cue itself changes
+        const cue = value ? parseEosCueText(value) : null;
+        const active = globalState.lxCues.active;
+        if (cue && isSameCue(cue, active) && cue.label === active.label) return;
+        if (!cue && !active) return;
+
+        if (cue) {
+            const fired = isSameCue(cue, lastCueFire) ? lastCueFire.firedAt :
+                (isSameCue(cue, active) ? active.firedAt : new Date().toISOString());
+            globalState.lxCues.active = { ...cue, firedAt: fired };
+            globalState.currentLxCue = cue.number;
+            recordCueGo(globalState.lxCues.active, fired);
+            console.log(`Active LX cue: ${cue.list}/${cue.number} ${cue.label}`);
+        } else {
+            globalState.lxCues.active = null;
+        }
+        broadcastLxCues();
+    } else if (address === '/eos/out/pending/cue/text') {
+        const cue = value ? parseEosCueText(value) : null;
+        const pending = globalState.lxCues.pending;
+        if (cue && isSameCue(cue, pending) && cue.label === pending.label) return;
+        if (!cue && !pending) return;
+
+        globalState.lxCues.pending = cue;
+        if (cue) {
+            console.log(`Pending LX cue: ${cue.list}/${cue.number} ${cue.label}`);
+        }
+        broadcastLxCues();
     } else {
-        console.log('No MIDI inputs available. Running in demo mode.');
+        // /eos/out/event/cue/<list>/<number>/fire
+        const fireMatch = address.match(/^\/eos\/out\/event\/cue\/(\d+)\/([^/]+)\/fire$/);
+        if (fireMatch) {
+            lastCueFire = { list: fireMatch[1], number: fireMatch[2], firedAt: new Date().toISOString() };
+            if (isSameCue(lastCueFire, globalState.lxCues.active)) {
+                globalState.lxCues.active.firedAt = lastCueFire.firedAt;
+                recordCueGo(globalState.lxCues.active, lastCueFire.firedAt);
+                broadcastLxCues();
+            }
+        }
     }
-} catch (error) {
-    console.log('EasyMIDI not available:', error.message);
 }
 
-// OSC Server for LX Cues and scenes from qlab
-let oscServer = null;
+function setEosConnected(connected) {
+    if (eosConsole.connected === connected) return;
+    eosConsole.connected = connected;
+    console.log(connected ?
+        `Eos console ${eosConsole.host}:${eosConsole.port} connected` :
+        `Eos console ${eosConsole.host}:${eosConsole.port} not responding - resubscribing`);
+    io.emit('system-status', getSystemStatus());
+}
+
 try {
-    const { Server } = require('node-osc');
-    oscServer = new Server(8001, '0.0.0.0', () => {
-        console.log('OSC Server is listening on port 8001 for LX cues');
+    const { Server, Client } = require('node-osc');
+    oscServer = new Server(oscPort, '0.0.0.0', () => {
+        console.log(`OSC Server is listening on port ${oscPort} for LX cues`);
     });
 
     oscServer.on('message', function (msg) {
         
-        // Parse OSC message for active cues
         // Messages we're interested in:
         // /eos/out/active/cue/text,1/199 B/O 1.0 2%
         // /eos/out/pending/cue/text,1/201 Start 1.0
+        // /eos/out/event/cue/1/199/fire
         const address = msg[0];
         const value = msg[1];
-        if (address === '/eos/out/active/cue/text' && value) {
-            // Extract cue name from value like "1/199 B/O 1.0 2%"
-            const cueMatch = value.match(/[^/]+\/(.+)/);
-            if (cueMatch && cueMatch[1]) {
-                const cueName = cueMatch[1].trim();
-                console.log(`Extracted active LX cue: ${cueName}`);
-                
-                // Update global state
-                globalState.currentLxCue = cueName;
-                
-                // Notify all clients
-                io.emit('lx-cue-update', cueName);
+        if (address === oscTimecodeAddress) {
+            const timecode = parseOscTimecode(msg.slice(1), oscTimecodeFps);
+            if (timecode) {
+                timecodeSources.report('eos', timecode);
             }
-        } else if (address === '/eos/out/pending/cue/text' && value) {
-            // Optionally handle pending cues too
-            const cueMatch = value.match(/[^/]+\/(.+)/);
-            if (cueMatch && cueMatch[1]) {
-                const cueName = cueMatch[1].trim();
-                console.log(`Extracted pending LX cue: ${cueName}`);
-                
-                // You could choose to update for pending cues too, or just log them
-                // globalState.currentLxCue = `Pending: ${cueName}`;
-                // io.emit('lx-cue-update', `Pending: ${cueName}`);
+        } else if (address.startsWith('/eos/out/')) {
+            eosConsole.lastMessageAt = Date.now();
+            if (eosClient) {
+                setEosConnected(true);
             }
-        } else if (address.startsWith('/bts/')) {
-            const act = value;
-            if (act && act !== globalState.currentAct) {
-                globalState.currentAct = act;
-                console.log(`Updated current act to: ${act}`);
-                io.emit('act-update', act);
+            handleEosMessage(address, value);
+        } else {
+            const command = matchOscCommand(commands, msg);
+            if (command) {
+                runCommand(command, `OSC ${address}`);
+            } else if (address.startsWith('/bts/')) {
+                console.log(`Unknown OSC command ${address} - see commands.json`);
             }
         }
     });
@@ -279,92 +1403,322 @@ try {
         console.log('OSC Server error:', err);
     });
 
+    // Ask the console to send us cue changes, and keep asking until it answers.
+    // Eos only sends on change, so a ping keeps the connection state honest.
+    if (eosConsole.host) {
+        eosClient = new Client(eosConsole.host, eosConsole.port);
+        const checkEosConsole = () => {
+            const silentFor = Date.now() - (eosConsole.lastMessageAt || 0);
+            if (silentFor > 15000) {
+                setEosConnected(false);
+                eosClient.send('/eos/subscribe', 1, (err) => {
+                    if (err) console.log('Error subscribing to Eos console:', err.message);
+                });
+            }
+            eosClient.send('/eos/ping', (err) => {
+                if (err) console.log('Error pinging Eos console:', err.message);
+            });
+        };
+        checkEosConsole();
+        setInterval(checkEosConsole, 5000);
+    }
+
 } catch (error) {
     console.log('OSC Server not available:', error.message);
     console.log('LX cues will need to be entered manually');
 }
 
-// MIDI Timecode parsing
-let quarterFrameData = new Array(8).fill(0);
-let lastQuarterFrame = -1;
-let lastFullTimecode = null;
-
-const frameRates = {
-    0: 24,
-    1: 25,
-    2: 29.97,
-    3: 30
+// QLab workspace for sound cues - polled over OSC when an IP is given
+let qlabConnection = null;
+const qlabWorkspace = {
+    host: config.qlab.ip,
+    port: config.qlab.port,
+    connected: false
 };
 
-function parseEasyMIDIMTC(messageType, value) {
-    quarterFrameData[messageType] = value;
-    mtcMessagesReceived++;
-    
-    lastQuarterFrame = messageType;
-    
-    if (messageType === 7) {
-        parseCompleteMTC();
-    }
+if (qlabWorkspace.host) {
+    const { connectQLab } = require('./qlab');
+    qlabConnection = connectQLab({
+        host: qlabWorkspace.host,
+        port: qlabWorkspace.port,
+        passcode: config.qlab.passcode
+    }, (qlabState) => {
+        if (qlabState.connected !== qlabWorkspace.connected) {
+            qlabWorkspace.connected = qlabState.connected;
+            console.log(`QLab ${qlabWorkspace.host}:${qlabWorkspace.port} ${qlabState.connected ? 'connected' : 'not responding'}`);
+            io.emit('system-status', getSystemStatus());
+        }
+        if (qlabState.current && (!globalState.currentSoundCue || qlabState.current.id !== globalState.currentSoundCue.id)) {
+            console.log(`Sound cue: ${qlabState.current.number} ${qlabState.current.name}`);
+        }
+        globalState.currentSoundCue = qlabState.current;
+        globalState.soundPlayhead = qlabState.playhead;
+        io.emit('sound-cue-update', {
+            current: globalState.currentSoundCue,
+            playhead: globalState.soundPlayhead
+        });
+    });
 }
 
-function parseCompleteMTC() {
-    const frames = (quarterFrameData[1] << 4) | quarterFrameData[0];
-    const seconds = (quarterFrameData[3] << 4) | quarterFrameData[2];
-    const minutes = (quarterFrameData[5] << 4) | quarterFrameData[4];
-    const hoursAndRate = (quarterFrameData[7] << 4) | quarterFrameData[6];
-    
-    const hours = hoursAndRate & 0x1F;
-    const rateCode = (hoursAndRate >> 5) & 0x03;
-    
-    const newTimecode = {
-        hours: hours,
-        minutes: minutes,
-        seconds: seconds,
-        frames: frames,
-        frameRate: frameRates[rateCode] || 30,
-        source: 'midi'
-    };
-    
-    if (!lastFullTimecode || 
-        lastFullTimecode.hours !== newTimecode.hours ||
-        lastFullTimecode.minutes !== newTimecode.minutes ||
-        lastFullTimecode.seconds !== newTimecode.seconds ||
-        lastFullTimecode.frames !== newTimecode.frames) {
-        
-        globalState.timecode = newTimecode;
-        lastFullTimecode = {...newTimecode};
-        
+// Timecode sources in priority order - the first live one drives the clock and the others
+// take over when it stops. timecode.sources, e.g. "midi,artnet,eos" on the command line
+const TIMECODE_SOURCE_NAMES = { midi: 'MIDI', artnet: 'Art-Net', eos: 'Eos' };
+const timecodeSourceOrder = config.timecode.sources;
+
+// Eos (or anything else) sending timecode as an OSC string "HH:MM:SS:FF" or four numbers
+const oscTimecodeAddress = config.osc.timecodeAddress;
+const oscTimecodeFps = config.osc.timecodeFps;
+
+const timecodeSources = createTimecodeSourceManager({
+    order: timecodeSourceOrder,
+    // MIDI says when it stops (after freewheeling), the network sources just go quiet.
+    // Eos may only send a show clock once a second.
+    staleMs: { midi: Infinity, artnet: 1000, eos: 2500 },
+    onTimecode: (timecode) => {
+        globalState.timecode = timecode;
         io.emit('timecode-update', globalState.timecode);
+    },
+    onSourceChange: (state) => {
+        if (state.active !== globalState.timecodeStatus.source) {
+            console.log(state.active ?
+                `Timecode source: ${TIMECODE_SOURCE_NAMES[state.active]}` :
+                'Timecode source: none live');
+        }
+        updateTimecodeStatus();
+    }
+});
+
+// Status of whichever source is live, for the badge next to the clock:
+// { status, direction, source, order } - status as in mtc.js, network sources are running or lost
+function updateTimecodeStatus() {
+    const state = timecodeSources.getState();
+    let status;
+    if (state.active === 'midi' || (!state.active && !Object.values(state.sources).some(source => source.lastSeen))) {
+        // MIDI is live, or nothing has been heard yet - the decoder's own status says which
+        const midiStatus = mtcDecoder.getState();
+        status = { status: midiStatus.status, direction: midiStatus.direction, source: state.active };
+    } else if (state.active) {
+        status = { status: 'running', direction: 'forward', source: state.active };
+    } else {
+        status = { status: 'lost', direction: 'forward', source: null };
     }
+    globalState.timecodeStatus = { ...status, order: state.order };
+    io.emit('timecode-status', globalState.timecodeStatus);
 }
 
-function formatTimecode(tc) {
-    if (!tc || typeof tc !== 'object') {
-        return '00:00:00:00';
+// MIDI Timecode parsing - see mtc.js
+const mtcDecoder = createMtcDecoder({
+    onTimecode: (timecode) => {
+        timecodeSources.report('midi', timecode);
+    },
+    onStatus: (timecodeStatus) => {
+        console.log(`MIDI timecode ${timecodeStatus.status} (${timecodeStatus.direction})`);
+        if (timecodeStatus.status === 'lost') {
+            timecodeSources.drop('midi');
+        }
+        updateTimecodeStatus();
     }
-    return `${(tc.hours || 0).toString().padStart(2, '0')}:${(tc.minutes || 0).toString().padStart(2, '0')}:${(tc.seconds || 0).toString().padStart(2, '0')}:${(tc.frames || 0).toString().padStart(2, '0')}`;
+});
+
+updateTimecodeStatus();
+
+// Spot dropouts, keep the clock moving while freewheeling and fail over to the next source
+setInterval(() => {
+    mtcDecoder.tick();
+    timecodeSources.tick();
+}, 40);
+
+// Art-Net ArtTimeCode, broadcast by most lighting and media servers on UDP 6454
+let artnetSocket = null;
+if (timecodeSourceOrder.includes('artnet')) {
+    const artnetPort = config.artnet.port;
+    artnetSocket = require('dgram').createSocket({ type: 'udp4', reuseAddr: true });
+    artnetSocket.on('message', (buffer) => {
+        const timecode = parseArtTimeCode(buffer);
+        if (timecode) {
+            timecodeSources.report('artnet', timecode);
+        }
+    });
+    artnetSocket.on('error', (err) => {
+        console.log('Art-Net timecode not available:', err.message);
+        artnetSocket.close();
+        artnetSocket = null;
+        io.emit('system-status', getSystemStatus());
+    });
+    artnetSocket.bind(artnetPort, () => {
+        console.log(`Listening for Art-Net timecode on UDP port ${artnetPort}`);
+    });
 }
 
-// EasyMIDI message handler
-if (midiInput) {
-    midiInput.on('message', (msg) => {
-        if (msg._type === 'mtc' && typeof msg.type === 'number' && typeof msg.value === 'number') {
-            parseEasyMIDIMTC(msg.type, msg.value);
-        }
-        else if (msg.bytes && Array.isArray(msg.bytes)) {
-            const [status, data1] = msg.bytes;
-            if (status === 0xF1) {
-                const messageType = data1 >> 4;
-                const value = data1 & 0x0F;
-                parseEasyMIDIMTC(messageType, value);
+// Open the MIDI input, then keep checking for ports coming and going
+scanMidiPorts();
+setInterval(() => {
+    if (scanMidiPorts()) {
+        io.emit('system-status', getSystemStatus());
+    }
+}, 5000);
+
+// Everything in a JSON export - the show report is built from the same object
+function buildExportData(session, notes) {
+    return {
+        session: {
+            id: session.id,
+            name: session.name,
+            createdAt: session.createdAt,
+            closedAt: session.closedAt
+        },
+        notes: notes,
+        actHistory: session.actHistory,
+        cueHistory: session.cueHistory,
+        showClock: getShowClockSnapshot(session.showClock),
+        exportedAt: new Date().toISOString(),
+        totalNotes: notes.length,
+        users: Array.from(globalState.users.values()).filter(u => !u.isOverlay).map(u => ({
+            name: u.name,
+            joinedAt: u.joinedAt
+        })),
+        tags: globalState.tags
+    };
+}
+
+// Build a JSON or CSV export of one session's notes, or the show report
+function buildExport(session, format) {
+    // Deleted notes stay in backups but are left out of exports
+    const notes = session.notes.filter(note => !note.deleted);
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const sessionSlug = session.name.replace(/&[a-z0-9#]+;/gi, '').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase();
+    const filePrefix = `timecoded-notes-${sessionSlug ? sessionSlug + '-' : ''}${timestamp}`;
+
+    if (format === 'json') {
+        return {
+            data: JSON.stringify(buildExportData(session, notes), null, 2),
+            mimeType: 'application/json',
+            filename: `${filePrefix}.json`
+        };
+    } else if (format === 'show-report') {
+        return {
+            data: buildShowReport(buildExportData(session, notes)),
+            mimeType: 'text/html',
+            filename: `${filePrefix.replace('timecoded-notes', 'show-report')}.html`
+        };
+    } else if (format === 'csv') {
+        return {
+            data: notesToCsv(notes),
+            mimeType: 'text/csv',
+            filename: `${filePrefix}.csv`
+        };
+    } else if (format === 'cue-report') {
+        return {
+            data: buildCueReport(session, notes),
+            mimeType: 'text/csv',
+            filename: `${filePrefix.replace('timecoded-notes', 'notes-by-cue')}.csv`
+        };
+    } else if (format === 'zip') {
+        return {
+            data: buildExportZip(session, notes, `${filePrefix}.json`),
+            mimeType: 'application/zip',
+            filename: `${filePrefix}.zip`
+        };
+    } else if (format === 'running-times') {
+        return {
+            data: buildRunningTimes(session),
+            mimeType: 'text/csv',
+            filename: `${filePrefix.replace('timecoded-notes', 'running-times')}.csv`
+        };
+    }
+    return null;
+}
+
+// The JSON export with the session's attachments, in a zip recall.html can open
+function buildExportZip(session, notes, jsonName) {
+    const entries = [{ name: jsonName, data: JSON.stringify(buildExportData(session, notes), null, 2) }];
+    // Only attachments stored here - notes imported from elsewhere may name others
+    collectAttachments(notes).map(attachment => getAttachment(attachment.id)).filter(attachment => attachment).forEach(attachment => {
+        const paths = zipPaths(attachment);
+        const files = [
+            [paths.file, attachmentFilePath(attachment)],
+            [paths.thumbnail, attachment.thumbnail ? attachmentPath(attachment.id, '-thumbnail.jpg') : null]
+        ];
+        files.forEach(([name, filePath]) => {
+            if (!filePath) return;
+            try {
+                entries.push({ name: name, data: fs.readFileSync(filePath) });
+            } catch (error) {
+                console.log(`Leaving ${attachment.name} out of the export:`, error.message);
             }
+        });
+    });
+    return Buffer.from(createZip(entries));
+}
+
+// Running time of each act from the show clock, for the show report
+function buildRunningTimes(session) {
+    const clock = getShowClockSnapshot(session.showClock);
+    let csvContent = formatCsvRow(['Act', 'Running Time', 'Milliseconds']);
+    clock.acts.forEach(entry => {
+        csvContent += formatCsvRow([entry.act, formatElapsed(entry.elapsedMs), entry.elapsedMs]);
+    });
+    csvContent += formatCsvRow(['Total', formatElapsed(clock.elapsedMs), clock.elapsedMs]);
+    return csvContent;
+}
+
+// Sort cue numbers the way the console does: list, then cue number (which can be a decimal)
+function compareCues(a, b) {
+    const listDiff = (parseFloat(a.list) || 1) - (parseFloat(b.list) || 1);
+    if (listDiff !== 0) return listDiff;
+    const numberDiff = parseFloat(a.number) - parseFloat(b.number);
+    return isNaN(numberDiff) || numberDiff === 0 ? String(a.number).localeCompare(String(b.number)) : numberDiff;
+}
+
+// Notes grouped by the cue they were taken in, e.g. everything between cue 45 and 46.
+// One row per note; cues that were run but have no notes still get a row
+function buildCueReport(session, notes) {
+    const cues = new Map();
+    const getCue = (list, number) => {
+        const key = `${list}/${number}`;
+        if (!cues.has(key)) {
+            cues.set(key, { list: list, number: number, label: '', gos: [], notes: [] });
+        }
+        return cues.get(key);
+    };
+
+    session.cueHistory.forEach(entry => {
+        const cue = getCue(entry.list, entry.number);
+        cue.label = entry.label || cue.label;
+        cue.gos.push(`${entry.firedAt} (${formatTimecode(entry.timecode)})`);
+    });
+    notes.forEach(note => {
+        const cue = getCue(note.lxCueList || '1', note.lxCue || 'N/A');
+        cue.label = cue.label || note.lxCueLabel || '';
+        cue.notes.push(note);
+    });
+
+    let csvContent = formatCsvRow(['Cue List', 'Cue', 'Label', 'GO Times', 'User', 'Timecode', 'Act', 'Note', 'Tags', 'Status', 'Assignee']);
+    Array.from(cues.values()).sort(compareCues).forEach(cue => {
+        const cueFields = [cue.list, cue.number, cue.label, cue.gos.join('; ')];
+        if (cue.notes.length === 0) {
+            csvContent += formatCsvRow([...cueFields, '', '', '', '', '', '', '']);
         }
+        cue.notes.forEach(note => {
+            csvContent += formatCsvRow([
+                ...cueFields,
+                note.user,
+                formatTimecode(note.timecode),
+                note.act || 'Preshow',
+                note.text,
+                note.tags.join(', '),
+                note.status || 'open',
+                note.assignee
+            ]);
+        });
     });
+    return csvContent;
 }
 
-function backup() {
-    let data;
-    const exportData = {
+// Everything needed to restore the server, in the format of backups and snapshots. recall.html can
+// open it like an export
+function getBackupData() {
+    return {
         notes: globalState.notes,
         exportedAt: new Date().toISOString(),
         totalNotes: globalState.notes.length,
@@ -372,61 +1726,74 @@ function backup() {
             name: u.name,
             joinedAt: u.joinedAt
         })),
-        tags: globalState.tags
+        tags: globalState.tags,
+        // Every session is kept so archived rehearsals survive a restart
+        activeSessionId: globalState.activeSessionId,
+        sessions: globalState.sessions,
+        // Kept so people are still recognised as the authors of their notes after a restart
+        identities: Array.from(globalState.identities.entries()).map(([token, identity]) => ({
+            token,
+            ...identity
+        }))
     };
-    data = JSON.stringify(exportData, null, 2);
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = `backup-${timestamp}.json`;
+}
+
+// Snapshot the state so startup doesn't replay the whole journal (see journal.js)
+function saveSnapshot() {
+    if (!journalStarted || journal.eventsSinceSnapshot === 0) return;
     try {
-        fs.mkdirSync(path.join(__dirname, 'backups'), { recursive: true });
-        fs.writeFileSync(path.join(__dirname, 'backups', filename), data);
-        console.log(`Backup saved to backups/${filename}`);
+        const file = journal.compact(getBackupData());
+        console.log(`Snapshot saved to ${path.join(backupDir, file)}`);
     } catch (error) {
-        console.log('Error saving backup file:', error.message);
+        console.log('Error saving snapshot:', error.message);
     }
 }
 
-// Schedule backups every minute
-setInterval(backup, 1 * 60 * 1000);
+// Snapshot every 10 minutes by default, if anything has changed
+setInterval(saveSnapshot, config.backups.intervalMinutes * 60 * 1000);
 
-// Delete backups older than 1 day
+// Delete snapshots and journals older than the retention period (a day by default), and uploads
+// nothing uses, checking hourly
 setInterval(() => {
-    const backupDir = path.join(__dirname, 'backups');
-    fs.readdir(backupDir, (err, files) => {
-        if (err) return;
-        const now = Date.now();
-        files.forEach(file => {
-            const filePath = path.join(backupDir, file);
-            fs.stat(filePath, (err, stats) => {
-                if (err) return;
-                const age = now - stats.mtimeMs;
-                if (age > 24 * 60 * 60 * 1000) {
-                    fs.unlink(filePath, (error) => {
-                        if (error) return;
-                        console.log(`Deleted old backup file: ${file}`);
-                    });
-                }
-            });
-        });
-    });
-}, 24 * 60 * 60 * 1000);
+    try {
+        journal.removeOlderThan(new Date(Date.now() - config.backups.retentionHours * 60 * 60 * 1000))
+            .forEach(file => console.log(`Deleted old backup file: ${file}`));
+    } catch (error) {
+        console.log('Error deleting old backup files:', error.message);
+    }
+    // A note waiting in an outbox may still use an upload, so give them as long as the backups
+    try {
+        removeOrphanedAttachments(new Date(Date.now() - config.backups.retentionHours * 60 * 60 * 1000))
+            .forEach(file => console.log(`Deleted unused attachment file: ${file}`));
+    } catch (error) {
+        console.log('Error deleting unused attachments:', error.message);
+    }
+}, 60 * 60 * 1000);
 
-// Backups on errors and graceful shutdown
+// Every change is already in the journal, so a crash loses nothing. A clean shutdown snapshots
+// so the next startup is quick
 process.on('uncaughtException', (err) => {
     console.error('Uncaught Exception:', err);
-    backup();
+    journal.close();
     process.exit(1);
 });
 
 process.on('unhandledRejection', (reason, promise) => {
     console.error('Unhandled Rejection at:', promise, 'reason:', reason);
-    backup();
+    journal.close();
     process.exit(1);
 });
 
 process.on('SIGINT', () => {
-    console.log('Received SIGINT. Backing up and shutting down...');
-    backup();
+    console.log('Received SIGINT. Saving a snapshot and shutting down...');
+    saveSnapshot();
+    journal.close();
+    if (midiInput) midiInput.close();
+    if (oscServer) oscServer.close();
+    if (eosClient) eosClient.close();
+    if (qlabConnection) qlabConnection.close();
+    if (artnetSocket) artnetSocket.close();
+    alertSender.close();
     process.exit(0);
 });
 
@@ -440,57 +1807,111 @@ io.on('connection', (socket) => {
     const isOverlay = socket.handshake.headers.referer && 
                      socket.handshake.headers.referer.includes('overlay.html');
     
+    // Clients keep an identity token in localStorage - reattach to the user it belongs to
+    const handshakeToken = socket.handshake.auth && socket.handshake.auth.token;
+    const identityToken = !isOverlay && typeof handshakeToken === 'string' &&
+                          /^[A-Za-z0-9-]{16,64}$/.test(handshakeToken) ? handshakeToken : null;
+    let identity = identityToken ? globalState.identities.get(identityToken) : null;
+    if (identityToken && !identity) {
+        identity = {
+            id: `user-${generateId()}${generateId()}`,
+            name: userIP,
+            isAnonymous: true,
+            joinedAt: new Date()
+        };
+        globalState.identities.set(identityToken, identity);
+        recordEvent({ type: 'identity', token: identityToken, identity: identity });
+    }
+    
     const user = {
-        id: socket.id,
-        name: isOverlay ? `Overlay-${userIP}` : userIP,
+        id: identity ? identity.id : socket.id,
+        name: identity ? identity.name : (isOverlay ? `Overlay-${userIP}` : userIP),
         isTyping: false,
         currentTimecode: null,
         currentLxCue: null,
-        joinedAt: new Date(),
+        joinedAt: identity ? new Date(identity.joinedAt) : new Date(),
         isOverlay: isOverlay,
-        isAnonymous: !isOverlay // Regular users start as anonymous until they set a name
+        isAnonymous: identity ? identity.isAnonymous : !isOverlay, // Regular users start as anonymous until they set a name
+        role: isOverlay ? 'viewer' : (notetakerPin ? 'viewer' : 'notetaker')
     };
     
+    // A PIN in the handshake keeps the role across reconnects
+    const handshakePin = !isOverlay && socket.handshake.auth && socket.handshake.auth.pin;
+    const handshakeRole = typeof handshakePin === 'string' && handshakePin ? checkPin(clientIP, handshakePin).role : null;
+    if (handshakeRole) {
+        user.role = handshakeRole;
+    }
+    
+    // Permission checks - tell the user why an action was refused
+    function requireRole(role) {
+        if (hasRole(user, role)) return true;
+        socket.emit('permission-denied', {
+            message: role === 'admin' ? 'Only the DSM/admin can do that.' : 'You are in view-only mode.'
+        });
+        return false;
+    }
+    
+    // Note-takers may only change their own notes and comments, admins may change anything
+    function requireOwnerOrAdmin(item) {
+        if (hasRole(user, 'admin') || (hasRole(user, 'notetaker') && item.userId === user.id)) return true;
+        socket.emit('permission-denied', {
+            message: 'You can only change your own notes and comments.'
+        });
+        return false;
+    }
+    
     globalState.users.set(socket.id, user);
     
     // Track anonymous users for cleanup
-    if (!isOverlay) {
+    if (user.isAnonymous) {
         globalState.anonymousUsers.set(socket.id, {
-            joinedAt: new Date(),
+            joinedAt: user.joinedAt,
             ip: userIP
         });
         
-        // Set timeout to remove anonymous users after 15 minutes
+        // Set timeout to remove anonymous users 15 minutes (users.anonymousTimeoutMinutes) after
+        // they connect. The clock restarts on each connection - timing it from when the identity
+        // first joined would disconnect an old anonymous identity the moment it came back
         setTimeout(() => {
             if (globalState.users.has(socket.id)) {
                 const user = globalState.users.get(socket.id);
                 if (user.isAnonymous && !user.isOverlay) {
-                    console.log(`Automatically disconnecting anonymous user ${socket.id} after 15 minutes`);
+                    console.log(`Automatically disconnecting anonymous user ${socket.id} after ${config.users.anonymousTimeoutMinutes} minutes`);
                     socket.disconnect(true);
                 }
             }
             globalState.anonymousUsers.delete(socket.id);
-        }, 900000); // 15 minutes
+        }, config.users.anonymousTimeoutMinutes * 60000);
     }
 
     // Send current state to newly connected client
+    socket.emit('role-update', { role: user.role, pinRequired: !!notetakerPin });
+    socket.emit('sessions-update', getSessionSummaries());
     socket.emit('act-update', globalState.currentAct);
     socket.emit('timecode-update', globalState.timecode);
+    socket.emit('timecode-status', globalState.timecodeStatus);
     socket.emit('notes-update', globalState.notes);
     socket.emit('tags-update', globalState.tags);
     socket.emit('time-mode-update', globalState.timeMode);
+    socket.emit('show-clock-update', getShowClockSnapshot(getActiveSession().showClock));
+    socket.emit('alerts-update', globalState.alerts);
     socket.emit('lx-cue-update', globalState.currentLxCue);
-    socket.emit('system-status', {
-        midiAvailable: !!midiInput,
-        portCount: midiInput ? require('easymidi').getInputs().length : 0,
-        currentPort: openedPortName,
-        mtcMessagesReceived: mtcMessagesReceived,
-        oscAvailable: !!oscServer
+    socket.emit('lx-cues-update', globalState.lxCues);
+    socket.emit('cue-history-update', getActiveSession().cueHistory);
+    socket.emit('sound-cue-update', {
+        current: globalState.currentSoundCue,
+        playhead: globalState.soundPlayhead
     });
+    socket.emit('system-status', getSystemStatus());
 
     // Only send user-related updates if this is NOT an overlay
     if (!isOverlay) {
         socket.emit('user-initial-name', userIP);
+        socket.emit('user-identity', {
+            id: user.id,
+            name: user.name,
+            isAnonymous: user.isAnonymous
+        });
         
         // Send filtered users list (excluding overlay users)
         const filteredUsers = Array.from(globalState.users.values()).filter(u => !u.isOverlay);
@@ -506,19 +1927,119 @@ io.on('connection', (socket) => {
         socket.emit('users-update', []);
     }
 
+    // Handle role login with a PIN
+    socket.on('role-login', (pin) => {
+        if (isOverlay) return;
+        
+        const { role, waitMs } = checkPin(clientIP, typeof pin === 'string' ? pin.trim() : '');
+        if (waitMs > 0) {
+            socket.emit('role-login-error', { message: `Too many wrong PINs. Try again in ${Math.ceil(waitMs / 1000)} s.` });
+            return;
+        }
+        if (role) {
+            user.role = role;
+            console.log(`${user.name} logged in as ${role}`);
+            socket.emit('role-update', { role: user.role, pinRequired: !!notetakerPin });
+            io.emit('users-update', Array.from(globalState.users.values()).filter(u => !u.isOverlay));
+        } else {
+            socket.emit('role-login-error', { message: 'Wrong PIN.' });
+        }
+    });
+    
+    // Drop back to the default role
+    socket.on('role-logout', () => {
+        if (isOverlay) return;
+        
+        user.role = notetakerPin ? 'viewer' : 'notetaker';
+        socket.emit('role-update', { role: user.role, pinRequired: !!notetakerPin });
+        io.emit('users-update', Array.from(globalState.users.values()).filter(u => !u.isOverlay));
+    });
+
+    // Switch the MIDI input - a port name, or null for none
+    socket.on('midi-port-select', (portName) => {
+        if (!requireRole('admin')) return;
+        
+        if (portName === null || portName === 'none') {
+            midiPortChoice = 'none';
+            closeMidiInput();
+            console.log(`${user.name} closed the MIDI input`);
+        } else if (typeof portName === 'string' && midiPorts.includes(portName)) {
+            midiPortChoice = portName;
+            if (portName !== openedPortName) {
+                openMidiInput(portName);
+            }
+        } else {
+            return;
+        }
+        io.emit('system-status', getSystemStatus());
+    });
+    
+    // Look for MIDI ports now rather than waiting for the next scan
+    socket.on('midi-rescan', () => {
+        if (!requireRole('admin')) return;
+        
+        scanMidiPorts();
+        io.emit('system-status', getSystemStatus());
+    });
+
     // Handle note tag updates
     socket.on('note-update-tags', (data) => {
+        if (!data || typeof data !== 'object') return;
         const { noteId, tags } = data;
         const note = globalState.notes.find(n => n.id === noteId);
         
-        if (note) {
-            note.tags = tags;
+        if (note && Array.isArray(tags) && requireOwnerOrAdmin(note)) {
+            const previousTags = note.tags;
+            note.tags = tags.map(tag => sanitizeField(tag)).filter(tag => tag);
+            recordNote('tags', note);
             io.emit('notes-update', globalState.notes);
+            raiseNoteAlerts(note, 'updated', previousTags);
         }
     });
 
+    // Handle note status/assignee changes, keeping a timestamped history
+    socket.on('note-update-status', (data) => {
+        if (!requireRole('notetaker')) return; // Any note-taker can acknowledge or fix a note
+        if (!data || typeof data !== 'object') return;
+        
+        const { noteId, status, assignee } = data;
+        const note = globalState.notes.find(n => n.id === noteId);
+        if (!note) return;
+        
+        const newStatus = NOTE_STATUSES.includes(status) ? status : note.status;
+        const newAssignee = assignee === undefined ? note.assignee : sanitizeField(assignee);
+        if (newStatus === note.status && newAssignee === note.assignee) return;
+        
+        note.status = newStatus;
+        note.assignee = newAssignee;
+        note.statusHistory.push({
+            status: newStatus,
+            assignee: newAssignee,
+            user: user.name,
+            userId: user.id,
+            timestamp: new Date().toISOString()
+        });
+        recordNote('status', note);
+        
+        io.emit('notes-update', globalState.notes);
+        raiseNoteAlerts(note, 'updated');
+    });
+
+    // Clear an alert banner from every client
+    socket.on('alert-acknowledge', (alertId) => {
+        if (!requireRole('notetaker')) return;
+        
+        const alert = globalState.alerts.find(existing => existing.id === alertId);
+        if (!alert) return;
+        globalState.alerts = globalState.alerts.filter(existing => existing !== alert);
+        console.log(`Alert for note from ${alert.user} acknowledged by ${user.name}`);
+        io.emit('alerts-update', globalState.alerts);
+    });
+
     // Handle tag creation/updates
     socket.on('create-tag', (tagData) => {
+        if (!requireRole('admin')) return;
+        
         const newTag = {
             id: escapeHtml(tagData.id) || generateId(),
             name: escapeHtml(tagData.name),
@@ -538,6 +2059,8 @@ io.on('connection', (socket) => {
 
     // Handle tag deletion
     socket.on('delete-tag', (tagId) => {
+        if (!requireRole('admin')) return;
+        
         globalState.tags = globalState.tags.filter(tag => tag.id !== tagId);
         saveTagsToFile();
         io.emit('tags-update', globalState.tags);
@@ -545,7 +2068,7 @@ io.on('connection', (socket) => {
     
     // Handle user starting to type (only for non-overlay users)
     socket.on('typing-start', (data) => {
-        if (user.isOverlay) return; // Overlay users can't type
+        if (!hasRole(user, 'notetaker')) return; // Overlay users and viewers can't type
         
         user.isTyping = true;
         user.currentTimecode = data.timecode || {...globalState.timecode};
@@ -558,7 +2081,7 @@ io.on('connection', (socket) => {
     
     // Handle user stopping typing (only for non-overlay users)
     socket.on('typing-stop', () => {
-        if (user.isOverlay) return; // Overlay users can't type
+        if (!hasRole(user, 'notetaker')) return; // Overlay users and viewers can't type
         
         user.isTyping = false;
         user.currentTimecode = null;
@@ -571,17 +2094,31 @@ io.on('connection', (socket) => {
     
     // Handle time mode change (only for non-overlay users)
     socket.on('time-mode-change', (newMode) => {
-        if (user.isOverlay) return; // Overlay users can't change time mode
+        if (!requireRole('admin')) return; // Time mode is global, so only admins can change it
         
-        if (newMode === 'midi' || newMode === 'realtime') {
+        if (newMode === 'midi' || newMode === 'showclock' || newMode === 'realtime') {
             globalState.timeMode = newMode;
             io.emit('time-mode-update', globalState.timeMode);
         }
     });
 
+    // Show clock: start, hold, resume or reset - the DSM runs it
+    socket.on('show-clock-command', (command) => {
+        if (!requireRole('admin')) return;
+        
+        runShowClockCommand(command);
+    });
+
+    // Clients measure their clock offset from the server so they all show the same time
+    socket.on('clock-sync', (clientTime, callback) => {
+        if (typeof callback === 'function') {
+            callback({ clientTime: clientTime, serverTime: Date.now() });
+        }
+    });
+
     // Handle LX Cue change (manual input - will be overridden by OSC)
     socket.on('lx-cue-change', (newCue) => {
-        if (user.isOverlay) return; // Overlay users can't change LX cues
+        if (!hasRole(user, 'notetaker')) return; // Overlay users and viewers can't change LX cues
         
         // Only update if OSC is not available, or allow manual override
         if (!oscServer) {
@@ -594,35 +2131,103 @@ io.on('connection', (socket) => {
         }
     });
     
-    // Handle note submission (only for non-overlay users)
-    socket.on('note-submit', (data) => {
-        if (user.isOverlay) return;
-        
-        const noteTimecode = data.timecode || {...globalState.timecode};
-        
-        const note = {
-            id: Date.now() + Math.random().toString(36).substr(2, 9),
-            user: user.name,
-            userId: user.id,
-            text: sanitizeNote(data.text),
-            timecode: noteTimecode,
-            lxCue: escapeHtml(data.lxCue) || globalState.currentLxCue,
-            timestamp: new Date().toISOString(),
-            frameRate: data.frameRate || globalState.timecode.frameRate,
-            tags: Array.isArray(data.tags) ? data.tags.map(tag => escapeHtml(tag)) : [],
-            act: globalState.currentAct, // Use current act from OSC
-            comments: []
-        };
-        
-        globalState.notes.push(note);
+    // Handle note submission (only for non-overlay users). Clients resend notes they haven't had
+    // an acknowledgement for, so a note we already have is acknowledged again, not added twice
+    socket.on('note-submit', (data, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        if (!requireRole('notetaker')) {
+            return reply({ ok: false, error: 'You are in view-only mode.' });
+        }
+        if (!data || typeof data.text !== 'string' || !data.text.trim()) {
+            return reply({ ok: false, error: 'The note is empty.' });
+        }
+        if (data.id !== undefined && !isValidNoteId(data.id)) {
+            return reply({ ok: false, error: 'The note has an invalid id.' });
+        }
         
-        io.emit('note-added', note);
-        io.emit('notes-update', globalState.notes);
+        const existing = data.id && findNote(data.id);
+        if (existing) {
+            return reply({ ok: true, id: existing.id, duplicate: true });
+        }
+        const note = createNote(data, user);
+        reply({ ok: true, id: note.id, duplicate: false });
+    });
+
+    // Upload a photo or file to attach to a note or comment. attachment-upload { name, type, size, thumbnail }
+    // (the thumbnail as binary) is checked before any of the file is sent, and replies with an uploadId;
+    // then attachment-chunk { uploadId, data } sends the file CHUNK_BYTES at a time. The reply to the
+    // last piece has the attachment, whose id goes with note-submit or comment-submit
+    const pendingUploads = new Map();
+
+    // Forget uploads the client abandoned, so they don't count against the limit
+    function dropIdleUploads(now = Date.now()) {
+        pendingUploads.forEach((pending, uploadId) => {
+            if (now - pending.lastActivity > UPLOAD_IDLE_MS) pendingUploads.delete(uploadId);
+        });
+    }
+
+    socket.on('attachment-upload', (upload, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        if (!requireRole('notetaker')) {
+            return reply({ ok: false, error: 'You are in view-only mode.' });
+        }
+        if (upload && upload.thumbnail && !Buffer.isBuffer(upload.thumbnail)) {
+            return reply({ ok: false, error: 'The thumbnail must be a small JPEG.' });
+        }
+        const error = checkUploadStart(upload, maxAttachmentBytes);
+        if (error) {
+            return reply({ ok: false, error: error });
+        }
+        dropIdleUploads();
+        if (pendingUploads.size >= config.attachments.perNote) {
+            return reply({ ok: false, error: `Only ${config.attachments.perNote} files can be uploaded at once.` });
+        }
+        const uploadId = generateId();
+        pendingUploads.set(uploadId, { name: upload.name, type: upload.type, size: upload.size, thumbnail: upload.thumbnail || null, chunks: [], received: 0, lastActivity: Date.now() });
+        reply({ ok: true, uploadId: uploadId, chunkBytes: CHUNK_BYTES });
+    });
+
+    socket.on('attachment-chunk', (chunk, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        dropIdleUploads();
+        const pending = chunk && pendingUploads.get(chunk.uploadId);
+        if (!requireRole('notetaker')) {
+            pendingUploads.clear();
+            return reply({ ok: false, error: 'You are in view-only mode.' });
+        }
+        if (!pending || !Buffer.isBuffer(chunk.data)) {
+            return reply({ ok: false, error: 'The upload was not started.' });
+        }
+        if (pending.received + chunk.data.length > pending.size) {
+            pendingUploads.delete(chunk.uploadId);
+            return reply({ ok: false, error: 'The file is bigger than it said.' });
+        }
+        pending.chunks.push(chunk.data);
+        pending.received += chunk.data.length;
+        pending.lastActivity = Date.now();
+        if (pending.received < pending.size) {
+            return reply({ ok: true });
+        }
+
+        pendingUploads.delete(chunk.uploadId);
+        const upload = { name: pending.name, type: pending.type, data: Buffer.concat(pending.chunks), thumbnail: pending.thumbnail };
+        const error = checkUpload(upload, maxAttachmentBytes);
+        if (error) {
+            return reply({ ok: false, error: error });
+        }
+        try {
+            const attachment = saveAttachment(upload);
+            console.log(`${user.name} attached ${attachment.name} (${attachment.size} bytes)`);
+            reply({ ok: true, attachment: attachment });
+        } catch (saveError) {
+            console.log('Error saving attachment:', saveError.message);
+            reply({ ok: false, error: 'The server could not save the file.' });
+        }
     });
 
     // Handle comment submission (only for non-overlay users)
     socket.on('comment-submit', (data) => {
-        if (user.isOverlay) return; // Overlay users can't comment
+        if (!requireRole('notetaker')) return; // Overlay users and viewers can't comment
         
         const { noteId, text } = data;
         const note = globalState.notes.find(n => n.id === noteId);
@@ -633,6 +2238,7 @@ io.on('connection', (socket) => {
                 user: user.name,
                 userId: user.id,
                 text: sanitizeNote(text),
+                attachments: getAttachments(data.attachments),
                 timestamp: new Date().toISOString()
             };
             
@@ -641,13 +2247,15 @@ io.on('connection', (socket) => {
             }
             
             note.comments.push(comment);
+            recordNote('comment-add', note);
             io.emit('notes-update', globalState.notes);
+            raiseNoteAlerts(note, 'updated');
         }
     });
 
     // Handle chat message submission (only for non-overlay users)
     socket.on('chat-message', (data) => {
-        if (user.isOverlay) return; // Overlay users can't chat
+        if (!requireRole('notetaker')) return; // Overlay users and viewers can't chat
         
         const chatMessage = {
             id: Date.now() + Math.random().toString(36).substr(2, 9),
@@ -658,10 +2266,11 @@ io.on('connection', (socket) => {
         };
         
         globalState.chatMessages.push(chatMessage);
+        recordEvent({ type: 'chat', sessionId: globalState.activeSessionId, message: chatMessage });
         
-        // Keep only last 100 messages to prevent memory issues
-        if (globalState.chatMessages.length > 100) {
-            globalState.chatMessages = globalState.chatMessages.slice(-100);
+        // Keep only the last 100 messages (chat.historyLength) to prevent memory issues
+        if (globalState.chatMessages.length > config.chat.historyLength) {
+            globalState.chatMessages = globalState.chatMessages.slice(-config.chat.historyLength);
         }
         
         io.emit('chat-message-added', chatMessage);
@@ -680,11 +2289,53 @@ io.on('connection', (socket) => {
         const { noteId, newText } = data;
         const note = globalState.notes.find(n => n.id === noteId);
         
-        if (note) {
-            note.text = sanitizeNote(newText);
-            // Update the timestamp to show when it was last edited
-            note.lastEdited = new Date().toISOString();
-            note.lastEditedBy = user.name;
+        if (note && requireOwnerOrAdmin(note)) {
+            const text = sanitizeNote(newText);
+            if (text === note.text) return;
+            
+            note.text = text;
+            // Keep the full revision history so earlier wording can be looked up
+            note.revisions.push({
+                text: text,
+                user: user.name,
+                userId: user.id,
+                timestamp: new Date().toISOString()
+            });
+            recordNote('edit', note);
+            
+            io.emit('notes-update', globalState.notes);
+            raiseNoteAlerts(note, 'updated');
+        }
+    });
+
+    // Handle note deletion - notes are soft-deleted so they can be restored
+    socket.on('note-delete', (data) => {
+        if (user.isOverlay) return; // Overlay users can't delete notes
+        if (!data || typeof data !== 'object') return;
+        
+        const note = globalState.notes.find(n => n.id === data.noteId);
+        if (note && !note.deleted && requireOwnerOrAdmin(note)) {
+            note.deleted = true;
+            note.deletedBy = user.name;
+            note.deletedAt = new Date().toISOString();
+            recordNote('delete', note);
+            
+            io.emit('notes-update', globalState.notes);
+            socket.emit('note-deleted', { noteId: note.id });
+        }
+    });
+
+    // Handle restoring a soft-deleted note (undo or from the deleted notes view)
+    socket.on('note-restore', (data) => {
+        if (user.isOverlay) return;
+        if (!data || typeof data !== 'object') return;
+        
+        const note = globalState.notes.find(n => n.id === data.noteId);
+        if (note && note.deleted && requireOwnerOrAdmin(note)) {
+            note.deleted = false;
+            note.deletedBy = null;
+            note.deletedAt = null;
+            recordNote('restore', note);
             
             io.emit('notes-update', globalState.notes);
         }
@@ -699,11 +2350,12 @@ io.on('connection', (socket) => {
         
         if (note && note.comments) {
             const comment = note.comments.find(c => c.id === commentId);
-            if (comment) {
+            if (comment && requireOwnerOrAdmin(comment)) {
                 comment.text = sanitizeNote(newText);
                 // Update the timestamp to show when it was last edited
                 comment.lastEdited = new Date().toISOString();
                 comment.lastEditedBy = user.name;
+                recordNote('comment-edit', note);
                 
                 io.emit('notes-update', globalState.notes);
             }
@@ -717,8 +2369,10 @@ io.on('connection', (socket) => {
         const { noteId, commentId } = data;
         const note = globalState.notes.find(n => n.id === noteId);
         
-        if (note && note.comments) {
+        const comment = note && note.comments ? note.comments.find(c => c.id === commentId) : null;
+        if (comment && requireOwnerOrAdmin(comment)) {
             note.comments = note.comments.filter(c => c.id !== commentId);
+            recordNote('comment-delete', note);
             io.emit('notes-update', globalState.notes);
         }
     });
@@ -745,23 +2399,38 @@ io.on('connection', (socket) => {
             user.name = sanitizedName;
             user.isAnonymous = false; // No longer anonymous
             
-            // Remove from anonymous tracking
-            globalState.anonymousUsers.delete(socket.id);
+            // Remember the name for this identity and any other tabs it has open
+            if (identity) {
+                identity.name = sanitizedName;
+                identity.isAnonymous = false;
+                recordEvent({ type: 'identity', token: identityToken, identity: identity });
+            }
+            globalState.users.forEach((u, socketId) => {
+                if (u.id === user.id) {
+                    u.name = sanitizedName;
+                    u.isAnonymous = false;
+                    globalState.anonymousUsers.delete(socketId);
+                }
+            });
             
-            // Update the user's name in all their notes and comments
-            globalState.notes.forEach(note => {
+            // Update the user's name in all their notes and comments, in every session
+            globalState.sessions.forEach(session => session.notes.forEach(note => {
+                let renamed = false;
                 if (note.userId === user.id) {
                     note.user = sanitizedName;
+                    renamed = true;
                 }
                 // Update user name in comments
                 if (note.comments) {
                     note.comments.forEach(comment => {
                         if (comment.userId === user.id) {
                             comment.user = sanitizedName;
+                            renamed = true;
                         }
                     });
                 }
-            });
+                if (renamed) recordNote('rename', note);
+            }));
             
             // Send filtered users list (excluding overlay users)
             const filteredUsers = Array.from(globalState.users.values()).filter(u => !u.isOverlay);
@@ -775,51 +2444,54 @@ io.on('connection', (socket) => {
     });
     
     // Handle export requests (only for non-overlay users)
-    socket.on('export-request', (format) => {
+    // Accepts a format string for the active session, or { format, sessionId }
+    socket.on('export-request', (request) => {
         if (user.isOverlay) return; // Overlay users can't export
         
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        let data, mimeType, filename;
-        
-        if (format === 'json') {
-            const exportData = {
-                notes: globalState.notes,
-                exportedAt: new Date().toISOString(),
-                totalNotes: globalState.notes.length,
-                users: Array.from(globalState.users.values()).filter(u => !u.isOverlay).map(u => ({
-                    name: u.name,
-                    joinedAt: u.joinedAt
-                })),
-                tags: globalState.tags
-            };
-            data = JSON.stringify(exportData, null, 2);
-            mimeType = 'application/json';
-            filename = `timecoded-notes-${timestamp}.json`;
-        } else if (format === 'csv') {
-            let csvContent = 'User,Timecode,LX Cue,Frame Rate,Act,Note,Tags,Comments,Timestamp\n';
-            
-            globalState.notes.forEach(note => {
-                const commentsStr = note.comments ? note.comments.map(c => `${c.user}: ${c.text}`).join('; ') : '';
-                const row = [
-                    `"${note.user}"`,
-                    `"${formatTimecode(note.timecode)}"`,
-                    `"${note.lxCue || ''}"`,
-                    `"${note.frameRate}"`,
-                    `"${note.act || 'Preshow'}"`, // Add act to CSV
-                    `"${note.text.replace(/"/g, '""')}"`,
-                    `"${note.tags.join(', ')}"`,
-                    `"${commentsStr}"`,
-                    `"${note.timestamp}"`
-                ].join(',');
-                csvContent += row + '\n';
-            });
-            
-            data = csvContent;
-            mimeType = 'text/csv';
-            filename = `timecoded-notes-${timestamp}.csv`;
+        const format = typeof request === 'object' && request ? request.format : request;
+        const session = typeof request === 'object' && request && request.sessionId ?
+            getSession(request.sessionId) : getActiveSession();
+        if (!session) return;
+        
+        const exported = buildExport(session, format);
+        if (exported) {
+            socket.emit('export-data', exported);
+        }
+    });
+    
+    // Start a new session, closing the current one
+    socket.on('session-create', (name) => {
+        if (!requireRole('admin')) return;
+        
+        const session = createSession(name);
+        activateSession(session);
+        console.log(`Started session "${session.name}"`);
+        broadcastSessionChange();
+    });
+    
+    // Reopen an archived session, closing the current one
+    socket.on('session-reopen', (sessionId) => {
+        if (!requireRole('admin')) return;
+        
+        const session = getSession(sessionId);
+        if (session && session.id !== globalState.activeSessionId) {
+            activateSession(session);
+            console.log(`Reopened session "${session.name}"`);
+            broadcastSessionChange();
         }
+    });
+    
+    // Rename a session
+    socket.on('session-rename', (data) => {
+        if (!requireRole('admin')) return;
         
-        socket.emit('export-data', { data, mimeType, filename });
+        const session = getSession(data && data.sessionId);
+        const name = data && typeof data.name === 'string' ? data.name.trim() : '';
+        if (session && name) {
+            session.name = escapeHtml(name);
+            recordEvent({ type: 'session', session: { id: session.id, name: session.name } });
+            io.emit('sessions-update', getSessionSummaries());
+        }
     });
     
     socket.on('disconnect', () => {
@@ -841,6 +2513,50 @@ io.on('connection', (socket) => {
     });
 });
 
+// MIDI, OSC and restore status shown in the status panel
+function getSystemStatus() {
+    return {
+        midiAvailable: !!midiInput,
+        portCount: midiPorts.length,
+        currentPort: openedPortName,
+        ports: midiPorts,
+        mtcMessagesReceived: mtcDecoder.getState().messagesReceived,
+        // Any source that could drive the clock, so timecode mode makes sense without MIDI
+        timecodeAvailable: isTimecodeAvailable(),
+        timecodeSources: timecodeSources.getState(),
+        oscAvailable: !!oscServer,
+        qlab: qlabWorkspace.host ? {
+            host: qlabWorkspace.host,
+            port: qlabWorkspace.port,
+            connected: qlabWorkspace.connected
+        } : null,
+        eosConsole: eosConsole.host ? {
+            host: eosConsole.host,
+            port: eosConsole.port,
+            connected: eosConsole.connected
+        } : null,
+        restoredBackup: restoredBackup,
+        attachments: { maxBytes: maxAttachmentBytes, perNote: config.attachments.perNote }
+    };
+}
+
+function isTimecodeAvailable() {
+    return timecodeSourceOrder.some(name =>
+        (name === 'midi' && !!midiInput) ||
+        (name === 'artnet' && !!artnetSocket) ||
+        (name === 'eos' && !!oscServer));
+}
+
+// Send the newly active session's state to every client
+function broadcastSessionChange() {
+    io.emit('sessions-update', getSessionSummaries());
+    io.emit('act-update', globalState.currentAct);
+    io.emit('notes-update', globalState.notes);
+    io.emit('chat-messages-update', globalState.chatMessages);
+    io.emit('cue-history-update', getActiveSession().cueHistory);
+    broadcastShowClock();
+}
+
 // Helper functions for tags
 function generateId() {
     return Math.random().toString(36).substr(2, 9);
@@ -855,20 +2571,29 @@ if (midiInput) {
     console.log('MIDI device detected - listening for timecode');
 } else {
     console.log('No MIDI devices detected - MIDI timecode disabled');
-    // Set time mode to realtime if no MIDI available
+}
+if (!isTimecodeAvailable()) {
+    // Set time mode to realtime if there's no timecode source at all
     globalState.timeMode = 'realtime';
 }
 
-const PORT = process.env.PORT || 80;
+const PORT = config.http.port;
 server.listen(PORT, () => {
     console.log(`MIDI Timecode Notes Server running on http://localhost:${PORT}`);
+    if (adminPinGenerated) {
+        console.log(`Admin PIN for this run: ${adminPin} (set security.adminPin in config.json, ADMIN_PIN or --admin-pin to choose your own)`);
+    }
     if (oscServer) {
-        console.log('OSC Server listening for LX cues on port 8001');
+        console.log(`OSC Server listening for LX cues on port ${oscPort}`);
+    }
+    if (eosConsole.host) {
+        console.log(`Subscribing to Eos console at ${eosConsole.host}:${eosConsole.port}`);
+    }
+    if (qlabWorkspace.host) {
+        console.log(`Following sound cues from QLab at ${qlabWorkspace.host}:${qlabWorkspace.port}`);
+    }
+    if (apiToken) {
+        console.log('REST API writes enabled (token from API_TOKEN / --api-token)');
     }
+    console.log(`Timecode sources in priority order: ${timecodeSourceOrder.map(name => TIMECODE_SOURCE_NAMES[name]).join(', ') || 'none'}`);
 });
-
-process.on('SIGINT', () => {
-    if (midiInput) midiInput.close();
-    if (oscServer) oscServer.close();
-    process.exit();
-});
\ No newline at end of file
@@ -0,0 +1,100 @@
+// Show clock: time into the show, owned by the server so every device agrees.
+// The DSM starts it at the top of the show, holds it for stops and the interval, and resumes it.
+// The state is a plain object so it can live in the session and be backed up with it.
+
+// Status values:
+//   stopped - not started, or reset
+//   running - counting
+//   held    - stopped part way through, resume carries on from the same time
+function createShowClock() {
+    return {
+        status: 'stopped',
+        elapsedMs: 0,      // Running time up to runningSince
+        runningSince: null, // Wall clock time (ms) the clock was last started or resumed
+        act: null,
+        acts: []           // Running time per act, in the order the acts were first run: { act, elapsedMs }
+    };
+}
+
+function getActEntry(clock, act) {
+    let entry = clock.acts.find(entry => entry.act === act);
+    if (!entry) {
+        entry = { act, elapsedMs: 0 };
+        clock.acts.push(entry);
+    }
+    return entry;
+}
+
+// Add the time since runningSince to the total and the current act
+function settle(clock, now) {
+    if (clock.status !== 'running') return;
+    const running = Math.max(0, now - clock.runningSince);
+    clock.elapsedMs += running;
+    getActEntry(clock, clock.act).elapsedMs += running;
+    clock.runningSince = now;
+}
+
+// start (from stopped), hold, resume (from held) or reset. Returns false if the command
+// doesn't apply to the clock as it is, e.g. holding a clock that isn't running
+function applyShowClockCommand(clock, command, act, now = Date.now()) {
+    if (command === 'start' && clock.status === 'stopped') {
+        clock.status = 'running';
+        clock.runningSince = now;
+        clock.act = act;
+        getActEntry(clock, act);
+    } else if (command === 'hold' && clock.status === 'running') {
+        settle(clock, now);
+        clock.status = 'held';
+        clock.runningSince = null;
+    } else if (command === 'resume' && clock.status === 'held') {
+        clock.status = 'running';
+        clock.runningSince = now;
+        clock.act = act;
+        getActEntry(clock, act);
+    } else if (command === 'reset' && clock.status !== 'stopped') {
+        Object.assign(clock, createShowClock());
+    } else {
+        return false;
+    }
+    return true;
+}
+
+// Time after an act change counts towards the new act
+function setShowClockAct(clock, act, now = Date.now()) {
+    if (clock.act === act) return;
+    settle(clock, now);
+    clock.act = act;
+    if (clock.status !== 'stopped') {
+        getActEntry(clock, act);
+    }
+}
+
+// What clients need to show the clock. serverTime lets them carry on counting locally
+function getShowClockSnapshot(clock, now = Date.now()) {
+    const running = clock.status === 'running' ? Math.max(0, now - clock.runningSince) : 0;
+    return {
+        status: clock.status,
+        elapsedMs: clock.elapsedMs + running,
+        act: clock.act,
+        acts: clock.acts.map(entry => ({
+            act: entry.act,
+            elapsedMs: entry.elapsedMs + (entry.act === clock.act ? running : 0)
+        })),
+        serverTime: now
+    };
+}
+
+// HH:MM:SS
+function formatElapsed(ms) {
+    const totalSeconds = Math.floor(Math.max(0, ms || 0) / 1000);
+    const pad = value => value.toString().padStart(2, '0');
+    return `${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}`;
+}
+
+module.exports = {
+    createShowClock,
+    applyShowClockCommand,
+    setShowClockAct,
+    getShowClockSnapshot,
+    formatElapsed
+};
@@ -0,0 +1,214 @@
+// Printable show report from a session export (the same object as the JSON export):
+// safety notes first, act running times, then notes by department and act, and who was there.
+// It's a single HTML file with print styles - print it or save it as a PDF from the browser.
+const { formatTimecode } = require('./mtc');
+const { formatElapsed } = require('./show-clock');
+
+// Notes tagged with this go at the top of the report
+const SAFETY_TAG = 'safety';
+
+// Text from the server is stored HTML-escaped and text from an uploaded export may not be,
+// so escape anything that isn't already an entity
+function html(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+        .replace(/&(?!(amp|lt|gt|quot|#0*39|#x0*27);)/gi, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
+// Names can carry a colour <span> - the report shows the plain name
+function plainName(name) {
+    return String(name || '').replace(/<[^>]*>/g, '').trim();
+}
+
+function formatDate(value) {
+    const date = new Date(value);
+    return isNaN(date) ? '' : date.toLocaleString('en-GB', { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+function formatNoteTime(note) {
+    if (typeof note.showElapsed === 'number') {
+        return `Show ${formatElapsed(note.showElapsed)}`;
+    }
+    if (!note.timecode) return '';
+    if (note.frameRate === 'ms') {
+        // Real time notes - time of day
+        const pad = value => (value || 0).toString().padStart(2, '0');
+        return `${pad(note.timecode.hours)}:${pad(note.timecode.minutes)}:${pad(note.timecode.seconds)}`;
+    }
+    return formatTimecode(note.timecode);
+}
+
+// LX cue (with list and label), pending cue and sound cue
+function formatCueReferences(note) {
+    const references = [];
+    if (note.lxCue && note.lxCue !== 'N/A') {
+        const list = note.lxCueList && note.lxCueList !== '1' ? `${note.lxCueList}/` : '';
+        references.push(`LX ${list}${note.lxCue}${note.lxCueLabel ? ` "${note.lxCueLabel}"` : ''}`);
+    }
+    if (note.lxPendingCue) {
+        references.push(`next LX ${note.lxPendingCue}`);
+    }
+    if (note.soundCue) {
+        references.push(`SFX ${note.soundCue}${note.soundCueName ? ` "${note.soundCueName}"` : ''}`);
+    }
+    return references.join(' · ');
+}
+
+function renderNote(note, tagNames) {
+    const otherTags = (note.tags || []).filter(tag => tag !== SAFETY_TAG).map(tag => tagNames.get(tag) || tag);
+    const comments = (note.comments || []).map(comment =>
+        `<li><strong>${html(plainName(comment.user))}:</strong> ${html(comment.text)}</li>`).join('');
+    const status = note.status && note.status !== 'open' ? note.status.replace('-', ' ') : '';
+    return `
+        <div class="note">
+            <div class="note-meta">
+                <span class="time">${html(formatNoteTime(note))}</span>
+                <span class="cues">${html(formatCueReferences(note))}</span>
+                <span class="author">${html(plainName(note.user))}</span>
+            </div>
+            <div class="note-text">${html(note.text)}</div>
+            ${status || note.assignee ? `<div class="note-status">${html(status)}${note.assignee ? `${status ? ' · ' : ''}for ${html(tagNames.get(note.assignee) || note.assignee)}` : ''}</div>` : ''}
+            ${otherTags.length > 1 ? `<div class="note-tags">Also: ${html(otherTags.join(', '))}</div>` : ''}
+            ${comments ? `<ul class="comments">${comments}</ul>` : ''}
+        </div>`;
+}
+
+// Acts in show order: as the act history ran them, then any others the notes mention
+function getActOrder(exportData, notes) {
+    const acts = [];
+    const add = act => {
+        if (act && !acts.includes(act)) acts.push(act);
+    };
+    (exportData.actHistory || []).forEach(entry => add(entry.act));
+    notes.forEach(note => add(note.act || 'Preshow'));
+    return acts;
+}
+
+// Everyone connected at export time, plus anyone who wrote a note or comment
+function getAttendees(exportData, notes) {
+    const attendees = new Map();
+    (exportData.users || []).forEach(user => {
+        const name = plainName(user.name);
+        if (name) attendees.set(name, user.joinedAt || null);
+    });
+    notes.forEach(note => {
+        [note, ...(note.comments || [])].forEach(entry => {
+            const name = plainName(entry.user);
+            if (name && !attendees.has(name)) attendees.set(name, null);
+        });
+    });
+    return Array.from(attendees.keys()).sort((a, b) => a.localeCompare(b));
+}
+
+function buildShowReport(exportData) {
+    const session = exportData.session || {};
+    const notes = (exportData.notes || []).filter(note => !note.deleted);
+    const tags = exportData.tags || [];
+    const tagNames = new Map(tags.map(tag => [tag.id, tag.name]));
+    const acts = getActOrder(exportData, notes);
+    const title = session.name ? `Show Report – ${session.name}` : 'Show Report';
+
+    const byTime = (a, b) => new Date(a.timestamp) - new Date(b.timestamp);
+    const safetyNotes = notes.filter(note => (note.tags || []).includes(SAFETY_TAG)).sort(byTime);
+
+    // Departments in tags.json order, then tags only the notes know about, then untagged notes
+    const departments = tags.map(tag => tag.id).filter(id => id !== SAFETY_TAG);
+    notes.forEach(note => (note.tags || []).forEach(tag => {
+        if (tag !== SAFETY_TAG && !departments.includes(tag)) departments.push(tag);
+    }));
+    const departmentSections = [...departments, null].map(department => {
+        const departmentNotes = notes.filter(note => {
+            const noteDepartments = (note.tags || []).filter(tag => tag !== SAFETY_TAG);
+            return department ? noteDepartments.includes(department) : noteDepartments.length === 0;
+        });
+        if (departmentNotes.length === 0) return '';
+
+        const actSections = acts.map(act => {
+            const actNotes = departmentNotes.filter(note => (note.act || 'Preshow') === act).sort(byTime);
+            if (actNotes.length === 0) return '';
+            return `<h3>${html(act)}</h3>${actNotes.map(note => renderNote(note, tagNames)).join('')}`;
+        }).join('');
+        const name = department ? tagNames.get(department) || department : 'General';
+        return `<section class="department"><h2>${html(name)} <span class="count">(${departmentNotes.length})</span></h2>${actSections}</section>`;
+    }).join('');
+
+    const clock = exportData.showClock;
+    const runningTimes = clock && clock.acts && clock.acts.length > 0 ? `
+        <section>
+            <h2>Running Times</h2>
+            <table class="running-times">
+                ${clock.acts.map(entry => `<tr><td>${html(entry.act)}</td><td>${formatElapsed(entry.elapsedMs)}</td></tr>`).join('')}
+                <tr class="total"><td>Total</td><td>${formatElapsed(clock.elapsedMs)}</td></tr>
+            </table>
+        </section>` : '';
+
+    const attendees = getAttendees(exportData, notes);
+    const cueCount = new Set((exportData.cueHistory || []).map(cue => `${cue.list}/${cue.number}`)).size;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${html(title)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; color: #222; max-width: 900px; margin: 2rem auto; padding: 0 1rem; line-height: 1.4; }
+        header { border-bottom: 3px solid #222; margin-bottom: 1.5rem; }
+        h1 { margin: 0 0 0.25rem; }
+        h2 { border-bottom: 1px solid #999; padding-bottom: 0.2rem; margin-top: 2rem; }
+        h3 { margin: 1rem 0 0.5rem; color: #555; }
+        .summary { color: #555; margin: 0 0 1rem; }
+        .count { font-weight: normal; color: #777; font-size: 0.9em; }
+        .safety { border: 2px solid #E63946; border-radius: 6px; padding: 0 1rem 1rem; }
+        .safety h2 { color: #E63946; border-color: #E63946; }
+        .note { border-left: 3px solid #ccc; padding: 0.3rem 0 0.3rem 0.75rem; margin-bottom: 0.75rem; page-break-inside: avoid; }
+        .note-meta { font-size: 0.85rem; color: #555; display: flex; gap: 1rem; flex-wrap: wrap; }
+        .note-meta .time { font-family: 'Courier New', monospace; font-weight: bold; }
+        .note-meta .author { margin-left: auto; }
+        .note-text { margin: 0.2rem 0; white-space: pre-wrap; }
+        .note-status, .note-tags { font-size: 0.85rem; color: #777; text-transform: capitalize; }
+        .comments { font-size: 0.9rem; margin: 0.3rem 0 0; padding-left: 1.25rem; color: #444; }
+        .running-times td { padding: 0.2rem 2rem 0.2rem 0; }
+        .running-times td:last-child { font-family: 'Courier New', monospace; }
+        .running-times .total td { border-top: 1px solid #999; font-weight: bold; }
+        .print-button { float: right; padding: 0.5rem 1rem; cursor: pointer; }
+        @media print {
+            body { margin: 0; max-width: none; }
+            .print-button { display: none; }
+            h2 { page-break-after: avoid; }
+        }
+    </style>
+</head>
+<body>
+    <header>
+        <button class="print-button" onclick="window.print()">Print / Save as PDF</button>
+        <h1>${html(title)}</h1>
+        <p class="summary">
+            ${session.createdAt ? `${html(formatDate(session.createdAt))}${session.closedAt ? ` – ${html(formatDate(session.closedAt))}` : ''} · ` : ''}${notes.length} note${notes.length === 1 ? '' : 's'}${cueCount ? ` · ${cueCount} LX cue${cueCount === 1 ? '' : 's'} run` : ''}
+        </p>
+    </header>
+    ${safetyNotes.length > 0 ? `
+    <section class="safety">
+        <h2>${html(tagNames.get(SAFETY_TAG) || 'Safety')} <span class="count">(${safetyNotes.length})</span></h2>
+        ${safetyNotes.map(note => renderNote(note, tagNames)).join('')}
+    </section>` : ''}
+    ${runningTimes}
+    ${departmentSections || '<p>No notes.</p>'}
+    <section>
+        <h2>Attended</h2>
+        <p>${attendees.length > 0 ? attendees.map(html).join(', ') : 'Nobody recorded.'}</p>
+    </section>
+    <footer class="summary">Generated ${html(formatDate(exportData.exportedAt || Date.now()))}</footer>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    SAFETY_TAG,
+    html,
+    buildShowReport
+};
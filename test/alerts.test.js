@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const dgram = require('dgram');
+const { decodeOscMessage } = require('../qlab');
+const { DEFAULT_ALERTS, parseAlertConfig, matchAlertRules, buildAlert, formatOscArgs, createAlertSender } = require('../alerts');
+
+function safetyNote(tags = ['safety', 'stage']) {
+    return {
+        id: 'n1',
+        user: 'Sam',
+        text: 'Trap &amp; lift &quot;live&quot;',
+        tags: tags,
+        act: 'Act 1',
+        lxCue: '45',
+        timecode: { hours: 1, minutes: 2, seconds: 3, frames: 4 }
+    };
+}
+
+test('the default rule alerts on new and newly tagged safety notes', () => {
+    const { rules, warnings } = parseAlertConfig(DEFAULT_ALERTS);
+    assert.deepStrictEqual(warnings, []);
+
+    assert.deepStrictEqual(matchAlertRules(rules, safetyNote(), 'created').map(match => match.event), ['created']);
+    assert.deepStrictEqual(matchAlertRules(rules, safetyNote(['stage']), 'created'), []);
+
+    const tagged = matchAlertRules(rules, safetyNote(), 'updated', ['stage']);
+    assert.deepStrictEqual(tagged.map(match => [match.event, match.matchedTags]), [['tagged', ['safety']]]);
+    // Already a safety note - editing it doesn't alert again unless the rule asks for updates
+    assert.deepStrictEqual(matchAlertRules(rules, safetyNote(), 'updated', ['safety', 'stage']), []);
+});
+
+test('rules can ask for updates to notes with their tags', () => {
+    const { rules } = parseAlertConfig({ rules: [{ tags: ['safety'], events: ['updated'] }] });
+    assert.deepStrictEqual(matchAlertRules(rules, safetyNote(), 'updated', ['safety']).map(match => match.event), ['updated']);
+    assert.deepStrictEqual(matchAlertRules(rules, safetyNote(), 'created'), []);
+});
+
+test('skips rules that do not make sense', () => {
+    const { rules, warnings } = parseAlertConfig({
+        rules: [
+            { tags: [] },
+            { tags: ['safety'], events: ['deleted'] },
+            { tags: ['safety'], webhook: { url: 'ftp://example' } },
+            { tags: ['safety'], osc: { host: '10.0.0.1', address: '/eos/macro/fire' } },
+            { tags: ['safety'], osc: { host: '10.0.0.1', port: 70000, address: '/eos/macro/fire' } },
+            { tags: ['sound'], banner: false, osc: { host: '10.0.0.1', port: 53000, address: '/cue/alert/start' } }
+        ]
+    });
+    assert.strictEqual(warnings.length, 5);
+    assert.deepStrictEqual(rules.map(rule => [rule.tags, rule.banner, rule.osc.port]), [[['sound'], false, 53000]]);
+});
+
+test('alerts carry the note as typed, and OSC arguments can quote it', () => {
+    const alert = buildAlert(safetyNote(), 'created', ['safety'], { id: 'a1', session: 'Dress 1', now: 0 });
+    assert.strictEqual(alert.text, 'Trap & lift "live"');
+    assert.strictEqual(buildAlert({ ...safetyNote(), user: '<span style="color: #f00">Sam &amp; Jo</span>' }, 'created', ['safety'], { id: 'a2' }).user, 'Sam & Jo');
+    assert.strictEqual(alert.timecode, '01:02:03:04');
+    assert.strictEqual(alert.createdAt, '1970-01-01T00:00:00.000Z');
+    assert.deepStrictEqual(formatOscArgs(['SAFETY {user}: {text} @ {timecode} ({tags})', 901], alert),
+        ['SAFETY Sam: Trap & lift "live" @ 01:02:03:04 (safety, stage)', 901]);
+});
+
+test('posts the alert to a webhook and sends the OSC message', async () => {
+    const received = {};
+    const httpServer = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.webhook = { method: req.method, token: req.headers['x-token'], body: JSON.parse(body) };
+            res.end('ok');
+        });
+    });
+    await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+    const oscListener = dgram.createSocket('udp4');
+    await new Promise(resolve => oscListener.bind(0, '127.0.0.1', resolve));
+    const oscReceived = new Promise(resolve => oscListener.once('message', buffer => resolve(decodeOscMessage(buffer))));
+
+    const { rules } = parseAlertConfig({
+        rules: [{
+            tags: ['safety'],
+            webhook: { url: `http://127.0.0.1:${httpServer.address().port}/hook`, headers: { 'X-Token': 'abc' } },
+            osc: { host: '127.0.0.1', port: oscListener.address().port, address: '/eos/macro/fire', args: [901, '{text}'] }
+        }]
+    });
+    const sender = createAlertSender();
+    const alert = buildAlert(safetyNote(), 'created', ['safety'], { id: 'a1', session: 'Dress 1' });
+    try {
+        const results = await sender.send(rules[0], alert);
+        assert.deepStrictEqual(results, [
+            { type: 'webhook', ok: true, error: null },
+            { type: 'osc', ok: true, error: null }
+        ]);
+        assert.deepStrictEqual(await oscReceived, ['/eos/macro/fire', 901, 'Trap & lift "live"']);
+        assert.strictEqual(received.webhook.method, 'POST');
+        assert.strictEqual(received.webhook.token, 'abc');
+        assert.strictEqual(received.webhook.body.noteId, 'n1');
+        assert.deepStrictEqual(received.webhook.body.matchedTags, ['safety']);
+    } finally {
+        sender.close();
+        oscListener.close();
+        httpServer.close();
+    }
+});
+
+test('reports a webhook that fails instead of throwing', async () => {
+    const httpServer = http.createServer((req, res) => {
+        res.statusCode = 500;
+        res.end();
+    });
+    await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+    const { rules } = parseAlertConfig({ rules: [{ tags: ['safety'], webhook: { url: `http://127.0.0.1:${httpServer.address().port}/` } }] });
+    const sender = createAlertSender();
+    try {
+        const results = await sender.send(rules[0], buildAlert(safetyNote(), 'created', ['safety'], { id: 'a1' }));
+        assert.deepStrictEqual(results, [{ type: 'webhook', ok: false, error: 'HTTP 500' }]);
+    } finally {
+        sender.close();
+        httpServer.close();
+    }
+});
+
+test('reports an OSC message that cannot be sent instead of throwing', async () => {
+    // parseAlertConfig refuses this port, but send() mustn't rely on that
+    const rule = { osc: { host: '127.0.0.1', port: 70000, address: '/eos/macro/fire', args: [] } };
+    const sender = createAlertSender();
+    try {
+        const results = await sender.send(rule, buildAlert(safetyNote(), 'created', ['safety'], { id: 'a1' }));
+        assert.strictEqual(results.length, 1);
+        assert.strictEqual(results[0].type, 'osc');
+        assert.strictEqual(results[0].ok, false);
+        assert.match(results[0].error, /port/i);
+    } finally {
+        sender.close();
+    }
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isValidAttachmentId, isImage, safeFileName, checkUploadStart, checkUpload, formatFileSize, collectAttachments, zipPaths } = require('../attachments');
+
+const jpeg = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0, 0x10]);
+const png = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A]);
+
+test('accepts photos and small files of the allowed types', () => {
+    assert.strictEqual(checkUpload({ name: 'set.jpg', type: 'image/jpeg', data: jpeg, thumbnail: jpeg }, 1024), null);
+    assert.strictEqual(checkUpload({ name: 'plot.pdf', type: 'application/pdf', data: Buffer.from('%PDF-1.7') }, 1024), null);
+    assert.strictEqual(checkUpload({ name: 'notes.txt', type: 'text/plain', data: Buffer.from('hello') }, 1024), null);
+    assert.ok(isImage('image/png'));
+    assert.ok(!isImage('application/pdf'));
+});
+
+test('refuses uploads that are too big, empty, the wrong type or not what they claim', () => {
+    assert.match(checkUpload({ name: 'a.jpg', type: 'image/jpeg', data: jpeg }, 4), /6 bytes - the most is 4 bytes/);
+    assert.match(checkUpload({ name: 'a.jpg', type: 'image/jpeg', data: Buffer.alloc(0) }, 1024), /empty/);
+    assert.match(checkUpload({ name: 'x.svg', type: 'image/svg+xml', data: Buffer.from('<svg>') }, 1024), /can't be attached/);
+    assert.match(checkUpload({ name: 'x.html', type: 'text/html', data: Buffer.from('<p>') }, 1024), /can't be attached/);
+    assert.match(checkUpload({ name: 'a.png', type: 'image/png', data: jpeg }, 1024), /isn't a real PNG/);
+    assert.match(checkUpload({ name: 'a.png', type: 'image/png', data: png, thumbnail: png }, 1024), /thumbnail/);
+    assert.match(checkUpload(null, 1024), /Nothing/);
+});
+
+test('refuses an upload by its size and type before the file is sent', () => {
+    assert.strictEqual(checkUploadStart({ name: 'set.jpg', type: 'image/jpeg', size: 1024, thumbnail: jpeg }, 1024), null);
+    assert.match(checkUploadStart({ name: 'set.jpg', type: 'image/jpeg', size: 1025 }, 1024), /the most is 1 KB/);
+    assert.match(checkUploadStart({ name: 'set.jpg', type: 'image/jpeg', size: '10' }, 1024), /empty/);
+    assert.match(checkUploadStart({ name: 'x.svg', type: 'image/svg+xml', size: 10 }, 1024), /can't be attached/);
+    assert.match(checkUploadStart({ name: 'a.png', type: 'image/png', size: 10, thumbnail: png }, 1024), /thumbnail/);
+});
+
+test('file names are safe to store and show', () => {
+    assert.strictEqual(safeFileName('../../etc/passwd', 'text/plain'), 'passwd');
+    assert.strictEqual(safeFileName('C:\\Photos\\set <1>\t"DSR".jpg', 'image/jpeg'), 'set 1 DSR.jpg');
+    assert.strictEqual(safeFileName('', 'image/jpeg'), 'attachment');
+    assert.strictEqual(safeFileName('.hidden', 'text/plain'), 'attachment.hidden');
+    assert.strictEqual(safeFileName('a'.repeat(150) + '.jpg', 'image/jpeg').length, 100);
+    assert.ok(safeFileName('a'.repeat(150), 'image/jpeg').endsWith('.jpg'));
+});
+
+test('formats sizes for people', () => {
+    assert.strictEqual(formatFileSize(500), '500 bytes');
+    assert.strictEqual(formatFileSize(2048), '2 KB');
+    assert.strictEqual(formatFileSize(10 * 1024 * 1024), '10 MB');
+    assert.strictEqual(formatFileSize(1.5 * 1024 * 1024), '1.5 MB');
+});
+
+test('collects each attachment on notes and comments once, with its place in a zip', () => {
+    const photo = { id: 'photo-0001', type: 'image/jpeg' };
+    const plot = { id: 'plot-00001', type: 'application/pdf' };
+    const notes = [
+        { attachments: [photo], comments: [{ attachments: [plot, photo] }] },
+        { comments: [{}] },
+        { attachments: [{ id: 'bad id' }] }
+    ];
+    assert.deepStrictEqual(collectAttachments(notes), [photo, plot]);
+    assert.deepStrictEqual(zipPaths(plot), { file: 'attachments/plot-00001.pdf', thumbnail: 'attachments/plot-00001-thumbnail.jpg' });
+    assert.ok(isValidAttachmentId('1792435106070tdmrjezjh'));
+    assert.ok(!isValidAttachmentId('../secret'));
+});
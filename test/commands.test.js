@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_COMMANDS, parseCommandConfig, matchOscCommand, matchMidiCommand } = require('../commands');
+
+const commands = parseCommandConfig({
+    user: 'Cans',
+    osc: [
+        { address: '/bts/note/mark', action: 'note', text: 'Mark' },
+        { address: '/bts/note/safety', action: 'note', text: 'Safety', tags: ['safety'] },
+        { address: '/bts/act', action: 'act' },
+        { address: '/bts/interval', action: 'act', act: 'Interval' },
+        { address: '/bts/clock', action: 'show-clock' },
+        { address: '/bts/clock/hold', action: 'show-clock', command: 'hold' }
+    ],
+    midi: [
+        { type: 'noteon', channel: 16, note: 60, action: 'note', text: 'Mark', user: 'Button box' },
+        { type: 'cc', controller: 20, action: 'show-clock', command: 'hold' },
+        { type: 'program', channel: 1, number: 2, action: 'act', act: 'Act 2' }
+    ]
+});
+
+test('drops a placeholder note, or uses the text sent with it', () => {
+    assert.deepStrictEqual(matchOscCommand(commands, ['/bts/note/mark']),
+        { action: 'note', text: 'Mark', tags: [], user: 'Cans' });
+    assert.deepStrictEqual(matchOscCommand(commands, ['/bts/note/safety', ' Loose cable DSL ']),
+        { action: 'note', text: 'Loose cable DSL', tags: ['safety'], user: 'Cans' });
+});
+
+test('changes the act to the value sent, or the act in the file', () => {
+    assert.deepStrictEqual(matchOscCommand(commands, ['/bts/act', 'Act 2']), { action: 'act', act: 'Act 2' });
+    assert.deepStrictEqual(matchOscCommand(commands, ['/bts/interval']), { action: 'act', act: 'Interval' });
+    assert.strictEqual(matchOscCommand(commands, ['/bts/act']), null);
+});
+
+test('runs show clock commands from the file or the message', () => {
+    assert.deepStrictEqual(matchOscCommand(commands, ['/bts/clock/hold']), { action: 'show-clock', command: 'hold' });
+    assert.deepStrictEqual(matchOscCommand(commands, ['/bts/clock', 'resume']), { action: 'show-clock', command: 'resume' });
+    assert.strictEqual(matchOscCommand(commands, ['/bts/clock', 'explode']), null);
+});
+
+test('ignores addresses that are not mapped', () => {
+    assert.strictEqual(matchOscCommand(commands, ['/bts/anything', 'Act 3']), null);
+});
+
+test('matches MIDI notes, CCs and program changes, with channels counted from 1', () => {
+    assert.deepStrictEqual(matchMidiCommand(commands, { _type: 'noteon', channel: 15, note: 60, velocity: 100 }),
+        { action: 'note', text: 'Mark', tags: [], user: 'Button box' });
+    assert.strictEqual(matchMidiCommand(commands, { _type: 'noteon', channel: 0, note: 60, velocity: 100 }), null);
+    assert.deepStrictEqual(matchMidiCommand(commands, { _type: 'cc', channel: 3, controller: 20, value: 127 }),
+        { action: 'show-clock', command: 'hold' });
+    assert.deepStrictEqual(matchMidiCommand(commands, { _type: 'program', channel: 0, number: 2 }), { action: 'act', act: 'Act 2' });
+});
+
+test('ignores button releases and timecode', () => {
+    assert.strictEqual(matchMidiCommand(commands, { _type: 'noteon', channel: 15, note: 60, velocity: 0 }), null);
+    assert.strictEqual(matchMidiCommand(commands, { _type: 'cc', channel: 3, controller: 20, value: 0 }), null);
+    assert.strictEqual(matchMidiCommand(commands, { _type: 'mtc', type: 0, value: 1 }), null);
+});
+
+test('keeps valid entries and warns about the rest', () => {
+    const parsed = parseCommandConfig({
+        osc: [{ address: 'no-slash', action: 'note' }, { address: '/ok', action: 'act' }, { address: '/x', action: 'dance' }],
+        midi: [{ type: 'noteon', channel: 17, note: 1, action: 'note' }, { type: 'cc', action: 'note' }]
+    });
+    assert.deepStrictEqual(parsed.osc.map(entry => entry.address), ['/ok']);
+    assert.strictEqual(parsed.midi.length, 0);
+    assert.strictEqual(parsed.warnings.length, 4);
+    assert.strictEqual(parsed.user, DEFAULT_COMMANDS.user);
+});
+
+test('the shipped commands.json is valid', () => {
+    const parsed = parseCommandConfig(require('../commands.json'));
+    assert.deepStrictEqual(parsed.warnings, []);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, describeConfig } = require('../config');
+
+const appDir = path.join(__dirname, '..');
+
+// Writes a config file to a temporary directory and returns its path
+function writeConfig(settings) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bts-config-'));
+    const file = path.join(dir, 'venue.json');
+    fs.writeFileSync(file, typeof settings === 'string' ? settings : JSON.stringify(settings));
+    return file;
+}
+
+test('uses the defaults when nothing is configured', () => {
+    const { config, sources, errors } = loadConfig({ appDir: fs.mkdtempSync(path.join(os.tmpdir(), 'bts-app-')) });
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(config.http.port, 80);
+    assert.deepStrictEqual(config.timecode.sources, ['midi']);
+    assert.strictEqual(config.security.adminPin, null);
+    assert.strictEqual(sources['http.port'], 'default');
+});
+
+test('the command line beats the environment, which beats the file', () => {
+    const file = writeConfig({ http: { port: 8080 }, osc: { port: 9000 }, chat: { historyLength: 50 } });
+    const { config, sources, errors } = loadConfig({
+        argv: [`--config=${file}`, '--port', '3000'],
+        env: { PORT: '4000', OSC_PORT: '9001', CHAT_HISTORY: '' },
+        appDir
+    });
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(config.http.port, 3000);
+    assert.strictEqual(sources['http.port'], 'cli');
+    assert.strictEqual(config.osc.port, 9001);
+    assert.strictEqual(sources['osc.port'], 'env');
+    // An empty variable counts as not set
+    assert.strictEqual(config.chat.historyLength, 50);
+    assert.strictEqual(sources['chat.historyLength'], 'file');
+});
+
+test('converts text from the environment and resolves paths', () => {
+    const file = writeConfig({ backups: { dir: 'show-backups' } });
+    const { config, errors } = loadConfig({
+        argv: ['--config', file],
+        env: { TIMECODE_SOURCES: 'ArtNet, midi, artnet', BACKUP_INTERVAL_MINUTES: '0.5', TAGS_FILE: 'venue-tags.json' },
+        appDir,
+        cwd: '/srv/notes'
+    });
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(config.timecode.sources, ['artnet', 'midi']);
+    assert.strictEqual(config.backups.intervalMinutes, 0.5);
+    assert.strictEqual(config.backups.dir, path.join(path.dirname(file), 'show-backups'));
+    assert.strictEqual(config.files.tags, path.resolve('/srv/notes', 'venue-tags.json'));
+});
+
+test('names every setting that is wrong', () => {
+    const file = writeConfig({ osc: { port: 80001, timecodeFps: 'thirty' }, http: { prot: 80 }, qlab: 'x' });
+    const { errors } = loadConfig({ argv: [`--config=${file}`, '--timecode-sources=midi,ltc'], appDir });
+    assert.deepStrictEqual(errors, [
+        'venue.json: unknown setting "http.prot"',
+        'venue.json: "qlab" should be an object of settings',
+        'venue.json osc.port: must be a port number (1-65535), got 80001',
+        'venue.json osc.timecodeFps: must be a number from 1 to 120, got "thirty"',
+        '--timecode-sources: must be a list of midi, artnet, eos, got "midi,ltc"'
+    ]);
+});
+
+test('whole numbers out of range name the range', () => {
+    const { errors } = loadConfig({ env: { ATTACHMENTS_PER_NOTE: '30', CHAT_HISTORY: '0' }, appDir });
+    assert.strictEqual(errors.length, 2);
+    assert.match(errors[0], /^ATTACHMENTS_PER_NOTE: must be a whole number from 1 to 20, got /);
+    assert.match(errors[1], /^CHAT_HISTORY: must be a whole number of at least 1, got /);
+});
+
+test('reports a config file that is missing or not JSON', () => {
+    assert.deepStrictEqual(loadConfig({ argv: ['--config=/nonexistent/venue.json'], appDir }).errors, ['venue.json: file not found']);
+    assert.match(loadConfig({ env: { CONFIG_FILE: writeConfig('{ "http": ') }, appDir }).errors[0], /^venue\.json: /);
+});
+
+test('the admin view hides secrets', () => {
+    const loaded = loadConfig({ env: { ADMIN_PIN: '4321', QLAB_IP: '10.0.0.5' }, appDir });
+    const settings = describeConfig(loaded);
+    const byKey = key => settings.find(setting => setting.key === key);
+    assert.deepStrictEqual(byKey('security.adminPin'), {
+        key: 'security.adminPin',
+        value: 'set',
+        secret: true,
+        source: 'env',
+        cli: '--admin-pin',
+        env: 'ADMIN_PIN',
+        description: 'Admin PIN (random if not set)'
+    });
+    assert.strictEqual(byKey('security.apiToken').value, 'not set');
+    assert.strictEqual(byKey('qlab.ip').value, '10.0.0.5');
+    assert.ok(!JSON.stringify(settings).includes('4321'));
+});
+
+test('the example config is valid', () => {
+    const { errors, sources } = loadConfig({ argv: ['--config', path.join(appDir, 'config.example.json')], appDir });
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(sources['eos.ip'], 'file');
+});
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JOURNAL_FILE, replay, parseJournal, parseRestoreTime, createJournal } = require('../journal');
+
+function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'journal-test-'));
+}
+
+const session = { id: 's1', name: 'Dress 1', createdAt: '2025-10-14T18:00:00.000Z', closedAt: null, notes: [], chatMessages: [], actHistory: [], cueHistory: [] };
+
+test('replays notes, comments, acts, chat and sessions on top of a snapshot', () => {
+    const snapshot = { seq: 2, activeSessionId: 's1', sessions: [session], tags: [], identities: [] };
+    const events = [
+        { seq: 1, at: '2025-10-14T18:00:00.000Z', type: 'chat', sessionId: 's1', message: { text: 'already in the snapshot' } },
+        { seq: 4, at: '2025-10-14T19:02:00.000Z', type: 'note', action: 'comment-add', sessionId: 's1', note: { id: 'n1', text: 'Spot late', comments: [{ text: 'Fixed' }] } },
+        { seq: 3, at: '2025-10-14T19:01:00.000Z', type: 'note', action: 'add', sessionId: 's1', note: { id: 'n1', text: 'Spot late', comments: [] } },
+        { seq: 5, at: '2025-10-14T19:03:00.000Z', type: 'act', sessionId: 's1', entry: { act: 'Act 1' }, showClock: { status: 'running' } },
+        { seq: 6, at: '2025-10-14T19:04:00.000Z', type: 'chat', sessionId: 's1', message: { text: 'hi' } },
+        { seq: 7, at: '2025-10-14T19:05:00.000Z', type: 'session', session: { id: 's2', name: 'Dress 2' } },
+        { seq: 8, at: '2025-10-14T19:06:00.000Z', type: 'activate', sessionId: 's2' },
+        { seq: 9, at: '2025-10-14T19:07:00.000Z', type: 'tags', tags: [{ id: 'dsm' }] },
+        { seq: 10, at: '2025-10-14T19:08:00.000Z', type: 'identity', token: 't1', identity: { id: 'u1', name: 'Sam' } },
+        { seq: 11, at: '2025-10-14T19:09:00.000Z', type: 'something-new' }
+    ];
+    const { state, applied } = replay(snapshot, events);
+
+    assert.strictEqual(applied, 9);
+    const dress1 = state.sessions[0];
+    assert.deepStrictEqual(dress1.notes, [{ id: 'n1', text: 'Spot late', comments: [{ text: 'Fixed' }] }]);
+    assert.deepStrictEqual(dress1.actHistory, [{ act: 'Act 1' }]);
+    assert.deepStrictEqual(dress1.showClock, { status: 'running' });
+    assert.deepStrictEqual(dress1.chatMessages, [{ text: 'hi' }]);
+    assert.strictEqual(dress1.closedAt, '2025-10-14T19:06:00.000Z');
+    assert.strictEqual(state.activeSessionId, 's2');
+    assert.deepStrictEqual(state.sessions[1], { id: 's2', name: 'Dress 2', notes: [], chatMessages: [], actHistory: [], cueHistory: [], closedAt: null });
+    assert.deepStrictEqual(state.tags, [{ id: 'dsm' }]);
+    assert.deepStrictEqual(state.identities, [{ token: 't1', id: 'u1', name: 'Sam' }]);
+    // The snapshot is left alone
+    assert.deepStrictEqual(snapshot.sessions[0].notes, []);
+});
+
+test('replays up to a point in time', () => {
+    const events = [
+        { seq: 1, at: '2025-10-14T19:40:00.000Z', type: 'note', sessionId: 's1', note: { id: 'n1', text: 'First' } },
+        { seq: 2, at: '2025-10-14T19:42:00.000Z', type: 'note', sessionId: 's1', note: { id: 'n1', text: 'First, edited' } }
+    ];
+    const { state } = replay({ activeSessionId: 's1', sessions: [session] }, events, new Date('2025-10-14T19:41:00.000Z'));
+    assert.deepStrictEqual(state.sessions[0].notes, [{ id: 'n1', text: 'First' }]);
+});
+
+test('skips a line cut short by a crash', () => {
+    const { events, skipped } = parseJournal('{"seq":1,"type":"chat"}\n{"seq":2,"type":"no\n\n');
+    assert.deepStrictEqual(events, [{ seq: 1, type: 'chat' }]);
+    assert.strictEqual(skipped, 1);
+});
+
+test('reads restore times', () => {
+    const now = new Date(2025, 9, 14, 21, 0);
+    assert.deepStrictEqual(parseRestoreTime('20:41', now), new Date(2025, 9, 14, 20, 41, 0, 999));
+    // Not 22:15 yet today, so yesterday
+    assert.deepStrictEqual(parseRestoreTime('22:15:30', now), new Date(2025, 9, 13, 22, 15, 30, 999));
+    assert.deepStrictEqual(parseRestoreTime('2025-10-12 19:30', now), new Date(2025, 9, 12, 19, 30));
+    assert.strictEqual(parseRestoreTime('25:00', now), null);
+    assert.strictEqual(parseRestoreTime('latest', now), null);
+    assert.strictEqual(parseRestoreTime('backup-2025-10-14T19-41-00-000Z.json', now), null);
+});
+
+test('writes events to disk, snapshots and reads everything back', () => {
+    const dir = tempDir();
+    const journal = createJournal(dir);
+    assert.ok(!journal.exists());
+    assert.throws(() => journal.append({ type: 'chat' }), /not been started/);
+
+    journal.compact({ activeSessionId: 's1', sessions: [session] });
+    const first = journal.append({ type: 'note', sessionId: 's1', note: { id: 'n1', text: 'One' } });
+    assert.strictEqual(first.seq, 1);
+    assert.strictEqual(journal.eventsSinceSnapshot, 1);
+    assert.match(fs.readFileSync(path.join(dir, JOURNAL_FILE), 'utf8'), /"text":"One"/);
+
+    const loaded = createJournal(dir).load();
+    assert.deepStrictEqual(loaded.state.sessions[0].notes, [{ id: 'n1', text: 'One' }]);
+    assert.strictEqual(loaded.events, 1);
+
+    // A snapshot includes the journal so far, which is kept beside it
+    journal.compact(loaded.state);
+    assert.strictEqual(journal.eventsSinceSnapshot, 0);
+    assert.strictEqual(journal.append({ type: 'note', sessionId: 's1', note: { id: 'n2', text: 'Two' } }).seq, 2);
+    journal.close();
+
+    const files = fs.readdirSync(dir);
+    assert.strictEqual(files.filter(file => file.startsWith('snapshot-')).length, 2);
+    assert.strictEqual(files.filter(file => /^journal-.*\.jsonl$/.test(file)).length, 1);
+
+    const reopened = createJournal(dir);
+    const again = reopened.load();
+    assert.deepStrictEqual(again.state.sessions[0].notes.map(note => note.id), ['n1', 'n2']);
+    assert.strictEqual(again.events, 1);
+
+    // Numbering carries on after a restart
+    reopened.compact(again.state);
+    assert.strictEqual(reopened.append({ type: 'chat', sessionId: 's1', message: {} }).seq, 3);
+    reopened.close();
+    fs.rmSync(dir, { recursive: true });
+});
+
+test('restoring to a time before the oldest snapshot is an error', () => {
+    const dir = tempDir();
+    const journal = createJournal(dir);
+    journal.compact({ activeSessionId: 's1', sessions: [session] });
+    journal.close();
+    assert.throws(() => createJournal(dir).load(new Date('2000-01-01T00:00:00Z')), /oldest snapshot/);
+    fs.rmSync(dir, { recursive: true });
+});
+
+test('old files are deleted, but never the newest snapshot or the live journal', () => {
+    const dir = tempDir();
+    const journal = createJournal(dir);
+    journal.compact({ sessions: [session] });
+    journal.append({ type: 'chat', sessionId: 's1', message: {} });
+    journal.compact({ sessions: [session] });
+    journal.close();
+    fs.writeFileSync(path.join(dir, 'backup-2025-10-14T19-41-00-000Z.json'), '{}');
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'not ours');
+
+    const deleted = journal.removeOlderThan(new Date(Date.now() + 60 * 1000));
+    assert.strictEqual(deleted.length, 3);
+    assert.deepStrictEqual(fs.readdirSync(dir).filter(file => !file.startsWith('snapshot-')).sort(), [JOURNAL_FILE, 'notes.txt']);
+    assert.strictEqual(fs.readdirSync(dir).filter(file => file.startsWith('snapshot-')).length, 1);
+    fs.rmSync(dir, { recursive: true });
+});
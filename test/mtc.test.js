@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMtcDecoder, formatTimecode, sanitizeFrameRate, sanitizeTimecode, timecodeToFrames, framesToTimecode } = require('../mtc');
+
+// The eight quarter-frame pieces for a time, rate code 0-3 (24, 25, 29.97 DF, 30)
+function quarterFrames(hours, minutes, seconds, frames, rateCode) {
+    const hoursAndRate = (rateCode << 5) | hours;
+    return [
+        frames & 0x0F, frames >> 4,
+        seconds & 0x0F, seconds >> 4,
+        minutes & 0x0F, minutes >> 4,
+        hoursAndRate & 0x0F, hoursAndRate >> 4
+    ];
+}
+
+function fullFrame(hours, minutes, seconds, frames, rateCode) {
+    return [0xF0, 0x7F, 0x7F, 0x01, 0x01, (rateCode << 5) | hours, minutes, seconds, frames, 0xF7];
+}
+
+// Decoder with a fake clock and everything it reports collected
+function setup() {
+    const clock = { time: 1000 };
+    const timecodes = [];
+    const statuses = [];
+    const decoder = createMtcDecoder({
+        onTimecode: tc => timecodes.push(tc),
+        onStatus: status => statuses.push(status),
+        now: () => clock.time
+    });
+    return { clock, timecodes, statuses, decoder };
+}
+
+test('decodes a forward quarter-frame cycle, allowing for the two frames it takes to send', () => {
+    const { decoder, timecodes, statuses } = setup();
+    quarterFrames(1, 2, 3, 4, 1).forEach((value, piece) => decoder.quarterFrame(piece, value));
+
+    assert.strictEqual(timecodes.length, 1);
+    assert.strictEqual(formatTimecode(timecodes[0]), '01:02:03:06');
+    assert.strictEqual(timecodes[0].frameRate, 25);
+    assert.strictEqual(timecodes[0].direction, 'forward');
+    assert.deepStrictEqual(statuses[statuses.length - 1], { status: 'running', direction: 'forward' });
+});
+
+test('waits for a complete cycle when joining part way through', () => {
+    const { decoder, timecodes } = setup();
+    const pieces = quarterFrames(0, 0, 10, 0, 3);
+    [4, 5, 6, 7].forEach(piece => decoder.quarterFrame(piece, pieces[piece]));
+    assert.strictEqual(timecodes.length, 0);
+
+    pieces.forEach((value, piece) => decoder.quarterFrame(piece, value));
+    assert.strictEqual(formatTimecode(timecodes[0]), '00:00:10:02');
+});
+
+test('decodes reverse playback, with pieces sent from 7 down to 0', () => {
+    const { decoder, timecodes, statuses } = setup();
+    const pieces = quarterFrames(0, 5, 0, 10, 1);
+    for (let piece = 7; piece >= 0; piece--) {
+        decoder.quarterFrame(piece, pieces[piece]);
+    }
+    for (let piece = 7; piece >= 0; piece--) {
+        decoder.quarterFrame(piece, pieces[piece]);
+    }
+
+    assert.strictEqual(formatTimecode(timecodes[0]), '00:05:00:08');
+    assert.strictEqual(timecodes[0].direction, 'reverse');
+    assert.strictEqual(statuses[statuses.length - 1].direction, 'reverse');
+});
+
+test('reads quarter frames from raw easymidi bytes', () => {
+    const { decoder, timecodes } = setup();
+    quarterFrames(0, 0, 1, 0, 3).forEach((value, piece) => {
+        decoder.handleMidiMessage({ bytes: [0xF1, (piece << 4) | value] });
+    });
+    assert.strictEqual(formatTimecode(timecodes[0]), '00:00:01:02');
+});
+
+test('locates to a full-frame SysEx message', () => {
+    const { decoder, timecodes, statuses } = setup();
+    decoder.handleMidiMessage({ _type: 'sysex', bytes: fullFrame(10, 20, 30, 12, 0) });
+
+    assert.strictEqual(formatTimecode(timecodes[0]), '10:20:30:12');
+    assert.strictEqual(timecodes[0].frameRate, 24);
+    assert.strictEqual(statuses[0].status, 'located');
+});
+
+test('ignores SysEx that is not MTC full-frame', () => {
+    const { decoder, timecodes } = setup();
+    assert.strictEqual(decoder.fullFrame([0xF0, 0x7E, 0x7F, 0x06, 0x01, 0xF7]), false);
+    assert.strictEqual(timecodes.length, 0);
+});
+
+test('shows 29.97 drop-frame with a ; and skips the dropped frame numbers', () => {
+    const { decoder, timecodes } = setup();
+    quarterFrames(0, 0, 59, 28, 2).forEach((value, piece) => decoder.quarterFrame(piece, value));
+
+    assert.strictEqual(timecodes[0].dropFrame, true);
+    // 00:00:59;28 + 2 frames - ;00 and ;01 don't exist at the start of minute 1
+    assert.strictEqual(formatTimecode(timecodes[0]), '00:01:00;02');
+});
+
+test('drop-frame frame counts round trip, keeping every tenth minute', () => {
+    const template = { frameRate: 29.97, dropFrame: true };
+    assert.strictEqual(formatTimecode(framesToTimecode(17982, template)), '00:10:00;00');
+    [0, 1799, 17981, 107892, 2589407].forEach(count => {
+        assert.strictEqual(timecodeToFrames(framesToTimecode(count, template)), count);
+    });
+});
+
+test('wraps around midnight when running backwards past zero', () => {
+    assert.strictEqual(formatTimecode(framesToTimecode(-1, { frameRate: 25, dropFrame: false })), '23:59:59:24');
+});
+
+test('freewheels after a dropout, then reports timecode lost', () => {
+    const { decoder, timecodes, statuses, clock } = setup();
+    quarterFrames(0, 1, 0, 0, 1).forEach((value, piece) => decoder.quarterFrame(piece, value));
+    assert.strictEqual(formatTimecode(timecodes[timecodes.length - 1]), '00:01:00:02');
+
+    // Still within the dropout window - nothing changes
+    clock.time += 100;
+    decoder.tick();
+    assert.strictEqual(decoder.getState().status, 'running');
+
+    // 400ms without messages at 25fps: freewheel 10 frames on
+    clock.time += 300;
+    decoder.tick();
+    assert.strictEqual(decoder.getState().status, 'freewheel');
+    assert.strictEqual(formatTimecode(timecodes[timecodes.length - 1]), '00:01:00:12');
+
+    // Past the freewheel period the clock stops at the last time actually received
+    clock.time += 2000;
+    decoder.tick();
+    assert.strictEqual(decoder.getState().status, 'lost');
+    assert.strictEqual(formatTimecode(timecodes[timecodes.length - 1]), '00:01:00:02');
+    assert.deepStrictEqual(statuses.map(status => status.status), ['running', 'freewheel', 'lost']);
+});
+
+test('goes back to running when quarter frames return', () => {
+    const { decoder, clock } = setup();
+    const pieces = quarterFrames(0, 0, 5, 0, 1);
+    pieces.forEach((value, piece) => decoder.quarterFrame(piece, value));
+    clock.time += 5000;
+    decoder.tick();
+    assert.strictEqual(decoder.getState().status, 'lost');
+
+    pieces.forEach((value, piece) => decoder.quarterFrame(piece, value));
+    assert.strictEqual(decoder.getState().status, 'running');
+});
+
+test('timecodes from clients and files keep only numbers and known values', () => {
+    assert.deepStrictEqual(
+        sanitizeTimecode({ hours: 20, minutes: 41, seconds: 5.7, milliseconds: 120, frameRate: 'ms', displayMode: 'realtime', note: '<b>' }),
+        { hours: 20, minutes: 41, seconds: 5, frames: 0, dropFrame: false, milliseconds: 120, frameRate: 'ms', displayMode: 'realtime' });
+    assert.deepStrictEqual(
+        sanitizeTimecode({ hours: 1, minutes: 0, seconds: 0, frames: 12, frameRate: 29.97, dropFrame: true, displayMode: 'x', source: 'mid<i>' }),
+        { hours: 1, minutes: 0, seconds: 0, frames: 12, dropFrame: true, frameRate: 29.97 });
+    assert.strictEqual(sanitizeTimecode({ hours: '<img>', minutes: 0, seconds: 0 }), null);
+    assert.strictEqual(sanitizeTimecode('01:00:00:00'), null);
+    assert.strictEqual(sanitizeFrameRate(25), 25);
+    assert.strictEqual(sanitizeFrameRate('30'), null);
+    assert.strictEqual(sanitizeFrameRate(500), null);
+});
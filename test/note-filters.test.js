@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_FILTERS, searchTerms, parseTimecodeValue, filterNotes, parseFilterQuery, filtersToQuery, hasActiveFilters } = require('../note-filters');
+
+// Local times, so time-of-day filters work in any time zone
+const at = (hours, minutes) => new Date(2025, 2, 1, hours, minutes).toISOString();
+
+const notes = [
+    {
+        id: 'n1', user: '<span style="color: #f00">Sam</span>', text: 'The practical SL is flickering',
+        tags: ['lighting', 'practicals'], act: 'Act 2', lxCue: '45.5', status: 'open',
+        timecode: { hours: 1, minutes: 10, seconds: 0, frames: 12 }, timestamp: at(19, 45),
+        comments: [{ user: 'Alex', text: 'Lamp swapped &amp; tested' }],
+        revisions: [{ text: 'practical flickers' }, { text: 'The practical SL is flickering' }]
+    },
+    {
+        id: 'n2', user: 'Kim', text: 'Fog too thick on &quot;stage left&quot;',
+        tags: ['stage'], act: 'Act 1', lxCue: '12', status: 'verified',
+        timecode: { hours: 0, minutes: 20, seconds: 5, frames: 0 }, timestamp: at(19, 5),
+        comments: [], revisions: [{ text: 'Fog too thick on "stage left"' }]
+    },
+    {
+        id: 'n3', user: 'Sam', text: 'Sound cue late',
+        tags: ['sound', 'lighting'], lxCue: 'Blackout', status: 'fixed',
+        timecode: { hours: 1, minutes: 40, seconds: 0, frames: 0 }, timestamp: at(23, 50)
+    }
+];
+
+const ids = filters => filterNotes(notes, filters).map(note => note.id);
+
+test('no filters shows every note', () => {
+    assert.deepStrictEqual(ids(DEFAULT_FILTERS), ['n1', 'n2', 'n3']);
+    assert.deepStrictEqual(ids({}), ['n1', 'n2', 'n3']);
+});
+
+test('searches note text and comments as typed, every word or phrase', () => {
+    assert.deepStrictEqual(searchTerms('"stage left" Fog'), ['stage left', 'fog']);
+    assert.deepStrictEqual(ids({ text: 'flickering practical' }), ['n1']);
+    assert.deepStrictEqual(ids({ text: 'lamp & tested' }), ['n1']);
+    assert.deepStrictEqual(ids({ text: '"stage left"' }), ['n2']);
+    assert.deepStrictEqual(ids({ text: 'flickering fog' }), []);
+});
+
+test('matches any or all of the chosen tags', () => {
+    assert.deepStrictEqual(ids({ tags: ['practicals', 'sound'] }), ['n1', 'n3']);
+    assert.deepStrictEqual(ids({ tags: ['lighting', 'sound'], tagMatch: 'all' }), ['n3']);
+});
+
+test('filters by act, user, status and edited notes', () => {
+    assert.deepStrictEqual(ids({ act: 'Preshow' }), ['n3']);
+    assert.deepStrictEqual(ids({ user: 'sam' }), ['n1', 'n3']);
+    assert.deepStrictEqual(ids({ status: 'outstanding' }), ['n1', 'n3']);
+    assert.deepStrictEqual(ids({ status: 'verified' }), ['n2']);
+    assert.deepStrictEqual(ids({ edited: true }), ['n1']);
+});
+
+test('filters by timecode, time of day and LX cue ranges', () => {
+    assert.strictEqual(parseTimecodeValue('01:10:00:12'), 4200.012);
+    assert.strictEqual(parseTimecodeValue('1:10'), null);
+    assert.deepStrictEqual(ids({ tcFrom: '01:00:00', tcTo: '01:30:00:00' }), ['n1']);
+    assert.deepStrictEqual(ids({ tcFrom: '01:10:00:13' }), ['n3']);
+    assert.deepStrictEqual(ids({ timeFrom: '19:30', timeTo: '20:00' }), ['n1']);
+    // Past midnight
+    assert.deepStrictEqual(ids({ timeFrom: '23:00', timeTo: '19:10' }), ['n2', 'n3']);
+    assert.deepStrictEqual(ids({ cueFrom: '40', cueTo: '50' }), ['n1']);
+    assert.deepStrictEqual(ids({ cueTo: '20' }), ['n2']);
+    // Half-typed ranges are ignored rather than hiding everything
+    assert.deepStrictEqual(ids({ tcFrom: '01:', cueFrom: 'abc' }), ['n1', 'n2', 'n3']);
+});
+
+test('filters round trip through the URL, which only carries what is set', () => {
+    const filters = { ...DEFAULT_FILTERS, text: 'fog "stage left"', tags: ['lighting', 'sound'], tagMatch: 'all', act: 'Act 2', cueFrom: '40', edited: true };
+    const query = filtersToQuery(filters);
+    assert.strictEqual(query, 'q=fog+%22stage+left%22&tags=lighting%2Csound&match=all&act=Act+2&cueFrom=40&edited=1');
+    assert.deepStrictEqual(parseFilterQuery('?' + query), filters);
+    assert.strictEqual(filtersToQuery({ ...DEFAULT_FILTERS, tagMatch: 'all', text: '  ' }), '');
+    assert.ok(!hasActiveFilters(parseFilterQuery('')));
+    assert.ok(hasActiveFilters(parseFilterQuery('user=Sam')));
+});
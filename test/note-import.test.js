@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { planImport, summariseImportPlan } = require('../note-import');
+
+let nextId = 0;
+const options = extra => ({ generateNoteId: () => `new-${++nextId}`, knownTagIds: ['lighting', 'sound'], ...extra });
+
+const existing = [
+    { id: 'note-a01', user: 'Sam', text: 'Focus on the chair', timestamp: '2026-10-18T19:00:00.000Z', tags: ['lighting'], status: 'open', comments: [] },
+    { id: 'note-b01', user: 'Jo', text: 'Thunder too loud', timestamp: '2026-10-18T19:05:00.000Z', tags: ['sound'], status: 'open', comments: [] }
+];
+
+test('adds new notes and skips ones already in the session', () => {
+    const plan = planImport(existing, [
+        { ...existing[0] },
+        { id: 'note-c01', user: 'Alex', text: 'Door sticks', timestamp: '2026-10-18T19:10:00.000Z', tags: [] }
+    ], options());
+
+    assert.deepStrictEqual(plan.add.map(note => note.id), ['note-c01']);
+    assert.strictEqual(plan.duplicates.length, 1);
+    assert.strictEqual(plan.conflicts.length, 0);
+});
+
+test('matches notes without ids by author, time and text', () => {
+    const { id, ...withoutId } = existing[1];
+    const plan = planImport(existing, [withoutId, { user: 'Alex', text: 'New', timestamp: '2026-10-18T20:00:00.000Z' }], options());
+
+    assert.strictEqual(plan.duplicates.length, 1);
+    assert.strictEqual(plan.add.length, 1);
+    assert.match(plan.add[0].id, /^new-/);
+});
+
+test('reports conflicts and resolves them as asked', () => {
+    const changed = { ...existing[0], text: 'Focus on the chair - fixed', status: 'fixed' };
+
+    const skipped = planImport(existing, [changed], options());
+    assert.deepStrictEqual(skipped.conflicts[0].differences, ['text', 'status']);
+    assert.strictEqual(skipped.add.length + skipped.replace.length, 0);
+
+    const replaced = planImport(existing, [changed], options({ conflictMode: 'replace' }));
+    assert.strictEqual(replaced.replace[0].existing, existing[0]);
+    assert.strictEqual(replaced.replace[0].note.text, 'Focus on the chair - fixed');
+
+    const both = planImport(existing, [changed], options({ conflictMode: 'keep-both' }));
+    assert.strictEqual(both.add.length, 1);
+    assert.notStrictEqual(both.add[0].id, 'note-a01');
+});
+
+test('remaps users and tags, and lists what the file uses', () => {
+    const plan = planImport([], [
+        { id: 'note-x01', user: 'laptop-2', text: 'Spot late', tags: ['lx', 'old'], comments: [{ user: 'laptop-2', text: 'Agreed' }] }
+    ], options({
+        userMap: { 'laptop-2': 'Sam' },
+        tagMap: { lx: 'lighting', old: '' },
+        userIds: new Map([['Sam', 'user-sam']])
+    }));
+
+    const note = plan.add[0];
+    assert.strictEqual(note.user, 'Sam');
+    assert.strictEqual(note.userId, 'user-sam');
+    assert.strictEqual(note.comments[0].user, 'Sam');
+    assert.deepStrictEqual(note.tags, ['lighting']);
+
+    const summary = summariseImportPlan(plan);
+    assert.deepStrictEqual(summary.users, [{ name: 'laptop-2', notes: 1, mappedTo: 'Sam' }]);
+    assert.deepStrictEqual(summary.tags.map(tag => [tag.id, tag.known]), [['lx', false], ['old', false]]);
+});
+
+test('escapes imported text without double escaping exported text', () => {
+    const plan = planImport([], [
+        { id: '1', user: '<b>Sam</b>', text: 'Don&#039;t <script>' },
+        { text: 42 }
+    ], options());
+
+    assert.strictEqual(plan.add[0].user, '&lt;b&gt;Sam&lt;/b&gt;');
+    assert.strictEqual(plan.add[0].text, 'Don&#039;t &lt;script&gt;');
+    assert.strictEqual(plan.invalid, 1);
+});
+
+test('gives new ids to notes and comments with ids we would not make, and escapes their history', () => {
+    const plan = planImport([], [{
+        id: 'x" onmouseover="alert(1)',
+        user: 'Sam',
+        text: 'Spot late',
+        deletedBy: '<b>Jo</b>',
+        lxCue: { cue: 45 },
+        revisions: [{ user: '<i>Sam</i>', text: 'Spot <late>' }],
+        statusHistory: [{ status: 'fixed', user: '<img src=x onerror=alert(2)>' }],
+        comments: [{ id: '"><script>', user: 'Jo', text: 'Fixed' }],
+        attachments: [{ id: '../../server', type: 'image/jpeg', name: 'x' }, { id: '1792435455370g7bhjr3w2', type: 'image/jpeg', name: '<b>rig</b>.jpg', size: '104' }]
+    }], options());
+
+    const note = plan.add[0];
+    assert.match(note.id, /^new-/);
+    assert.match(note.comments[0].id, /^new-/);
+    assert.strictEqual(note.deletedBy, '&lt;b&gt;Jo&lt;/b&gt;');
+    assert.strictEqual(note.lxCue, null);
+    assert.deepStrictEqual(note.revisions, [{ user: '&lt;i&gt;Sam&lt;/i&gt;', text: 'Spot &lt;late&gt;' }]);
+    assert.strictEqual(note.statusHistory[0].user, '&lt;img src=x onerror=alert(2)&gt;');
+    assert.deepStrictEqual(note.attachments.map(attachment => [attachment.name, attachment.size]), [['&lt;b&gt;rig&lt;/b&gt;.jpg', 104]]);
+});
+
+test('rebuilds timecodes, frame rates and user ids from plain values', () => {
+    const plan = planImport([], [{
+        user: 'Sam',
+        userId: '"><b>',
+        text: 'Spot late',
+        timecode: { hours: 1, minutes: 2, seconds: 3, frames: 4, dropFrame: 'yes', displayMode: '<i>', source: 'artnet', extra: '<b>' },
+        frameRate: '<img src=x onerror=alert(1)>',
+        showElapsed: '10'
+    }, {
+        user: 'Jo',
+        text: 'Fog',
+        timecode: { hours: '<img src=x onerror=alert(1)>', minutes: 0, seconds: 0 },
+        frameRate: 'ms',
+        showElapsed: 61000
+    }], options());
+
+    const [first, second] = plan.add;
+    assert.deepStrictEqual(first.timecode, { hours: 1, minutes: 2, seconds: 3, frames: 4, dropFrame: false, source: 'artnet' });
+    assert.strictEqual(first.frameRate, null);
+    assert.strictEqual(first.showElapsed, null);
+    assert.strictEqual(first.userId, null);
+    assert.deepStrictEqual(second.timecode, { hours: 0, minutes: 0, seconds: 0, frames: 0, dropFrame: false });
+    assert.strictEqual(second.frameRate, 'ms');
+    assert.strictEqual(second.showElapsed, 61000);
+});
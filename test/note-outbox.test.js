@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isValidNoteId, createNoteId, createOutbox } = require('../note-outbox');
+
+// Stands in for localStorage
+function memoryStorage(initial = {}) {
+    const items = { ...initial };
+    return {
+        getItem: key => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = String(value); },
+        items: items
+    };
+}
+
+test('note ids are unique and safe to send', () => {
+    const ids = new Set(Array.from({ length: 100 }, createNoteId));
+    assert.strictEqual(ids.size, 100);
+    ids.forEach(id => assert.ok(isValidNoteId(id), id));
+    assert.ok(!isValidNoteId('short'));
+    assert.ok(!isValidNoteId('has spaces in it'));
+    assert.ok(!isValidNoteId(12345678));
+});
+
+test('keeps notes until they are acknowledged, across page loads', () => {
+    const storage = memoryStorage();
+    const outbox = createOutbox(storage, 'outbox');
+    const first = outbox.add({ text: 'Cue 45 late', timecode: { hours: 1, minutes: 2, seconds: 3, frames: 4 } }, 1000);
+    const second = outbox.add({ text: 'Spot off', id: 'my-own-note-id' }, 2000);
+    assert.ok(isValidNoteId(first.id));
+    assert.strictEqual(first.note.id, first.id);
+    assert.strictEqual(second.id, 'my-own-note-id');
+
+    const reloaded = createOutbox(storage, 'outbox');
+    assert.deepStrictEqual(reloaded.list().map(entry => [entry.note.text, entry.queuedAt]), [['Cue 45 late', 1000], ['Spot off', 2000]]);
+    assert.deepStrictEqual(reloaded.list()[0].note.timecode, { hours: 1, minutes: 2, seconds: 3, frames: 4 });
+
+    reloaded.remove(first.id);
+    assert.deepStrictEqual(createOutbox(storage, 'outbox').list().map(entry => entry.id), ['my-own-note-id']);
+});
+
+test('remembers why the server refused a note', () => {
+    const storage = memoryStorage();
+    const outbox = createOutbox(storage, 'outbox');
+    const entry = outbox.add({ text: 'Hello' });
+    outbox.setError(entry.id, 'You are in view-only mode.');
+    assert.strictEqual(createOutbox(storage, 'outbox').list()[0].error, 'You are in view-only mode.');
+    outbox.setError(entry.id, null);
+    assert.strictEqual(outbox.list()[0].error, null);
+});
+
+test('starts empty when what is stored is not an outbox', () => {
+    assert.deepStrictEqual(createOutbox(memoryStorage({ outbox: '{not json' }), 'outbox').list(), []);
+    assert.deepStrictEqual(createOutbox(memoryStorage({ outbox: '{"a": 1}' }), 'outbox').list(), []);
+    const mixed = JSON.stringify([{ id: 'bad id' , note: {} }, { id: 'good-note-id', note: { text: 'x' } }, null]);
+    assert.deepStrictEqual(createOutbox(memoryStorage({ outbox: mixed }), 'outbox').list().map(entry => entry.id), ['good-note-id']);
+});
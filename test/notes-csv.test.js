@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CSV_VERSION, parseCsv, notesToCsv, csvToNotes } = require('../notes-csv');
+
+// A note as the server stores it, with everything that tends to break CSV
+function storedNote() {
+    return {
+        id: '1700000000000abc123def',
+        user: 'Sam "SM" Jones',
+        userId: 'user-abc',
+        text: 'Cue 45, the "blue" wash\nis late &amp; too dim',
+        timecode: { hours: 1, minutes: 2, seconds: 3, frames: 4, frameRate: 29.97, dropFrame: true, source: 'artnet' },
+        lxCue: '45.5',
+        lxCueList: '2',
+        lxCueLabel: 'Sunset, "slow"',
+        lxPendingCue: '46',
+        soundCue: 'Q12',
+        soundCueName: 'Thunder',
+        timestamp: '2025-03-01T19:32:10.000Z',
+        frameRate: 29.97,
+        showElapsed: 3723500,
+        tags: ['lighting', 'safety'],
+        act: 'Act 2',
+        comments: [
+            { id: 'c1', user: 'Alex', userId: 'user-x', text: 'Fixed; see note 3: "done"', timestamp: '2025-03-01T19:40:00.000Z', attachments: [{ id: '17924354553754hiyydx42', name: 'plot.pdf', type: 'application/pdf', size: 11, thumbnail: false }] }
+        ],
+        status: 'acknowledged',
+        assignee: 'lighting',
+        statusHistory: [
+            { status: 'acknowledged', assignee: 'lighting', user: 'Alex', userId: 'user-x', timestamp: '2025-03-01T19:41:00.000Z' }
+        ],
+        revisions: [
+            { text: 'Cue 45 late', user: 'Sam "SM" Jones', userId: 'user-abc', timestamp: '2025-03-01T19:32:10.000Z' },
+            { text: 'Cue 45, the "blue" wash\nis late &amp; too dim', user: 'Sam "SM" Jones', userId: 'user-abc', timestamp: '2025-03-01T19:35:00.000Z' }
+        ],
+        attachments: [
+            { id: '1792435455370g7bhjr3w2', name: 'Wash, "blue".jpg', type: 'image/jpeg', size: 104, thumbnail: true, uploadedAt: '2025-03-01T19:32:00.000Z' }
+        ],
+        deleted: true,
+        deletedBy: 'Alex',
+        deletedAt: '2025-03-01T19:50:00.000Z'
+    };
+}
+
+test('round trips every exported note field', () => {
+    const note = storedNote();
+    const { version, notes } = csvToNotes(notesToCsv([note]));
+    assert.strictEqual(version, CSV_VERSION);
+    assert.deepStrictEqual(notes, [note]);
+});
+
+test('round trips notes with empty optional fields and real time notes', () => {
+    const note = {
+        id: 'n2',
+        user: 'Kim',
+        userId: null,
+        text: '',
+        timecode: { hours: 19, minutes: 30, seconds: 5, frames: 250, frameRate: 'ms', dropFrame: false, source: 'midi' },
+        lxCue: null,
+        lxCueList: null,
+        lxCueLabel: null,
+        lxPendingCue: null,
+        soundCue: null,
+        soundCueName: null,
+        timestamp: '2025-03-01T19:30:05.250Z',
+        frameRate: 'ms',
+        showElapsed: null,
+        tags: [],
+        act: null,
+        comments: [],
+        status: 'open',
+        assignee: null,
+        statusHistory: [],
+        revisions: [],
+        attachments: [],
+        deleted: false,
+        deletedBy: null,
+        deletedAt: null
+    };
+    assert.deepStrictEqual(csvToNotes(notesToCsv([note])).notes, [note]);
+});
+
+test('parses quoted commas, doubled quotes, embedded newlines and CRLF', () => {
+    const rows = parseCsv('\uFEFFa,"b,c","say ""hi"""\r\n"line 1\r\nline 2",,""\n\nlast');
+    assert.deepStrictEqual(rows, [
+        ['a', 'b,c', 'say "hi"'],
+        ['line 1\r\nline 2', '', ''],
+        ['last']
+    ]);
+});
+
+test('rejects a field whose quote is never closed', () => {
+    assert.throws(() => parseCsv('a,"unfinished\nb'), /quoted field/);
+});
+
+test('reads version 1 exports, including "user: text; ..." comments', () => {
+    const csv = 'User,Timecode,Show Time,LX Cue,LX Cue List,LX Cue Label,Pending LX Cue,Sound Cue,Sound Cue Name,Frame Rate,Act,Note,Tags,Status,Assignee,Comments,Timestamp\n' +
+        '"Sam","00:10:00;02","00:05:00","12","","","","","","29.97","Act 1","Too dark, DSL","lighting, set","open","","Alex: on it; Kim: done","2025-03-01T19:00:00.000Z"\n';
+    const { version, notes } = csvToNotes(csv);
+    assert.strictEqual(version, 1);
+    assert.strictEqual(notes[0].id, undefined);
+    assert.strictEqual(notes[0].text, 'Too dark, DSL');
+    assert.strictEqual(notes[0].act, 'Act 1');
+    assert.strictEqual(notes[0].showElapsed, 300000);
+    assert.deepStrictEqual(notes[0].tags, ['lighting', 'set']);
+    assert.deepStrictEqual(notes[0].timecode, { hours: 0, minutes: 10, seconds: 0, frames: 2, dropFrame: true, frameRate: 29.97 });
+    assert.deepStrictEqual(notes[0].comments, [{ user: 'Alex', text: 'on it' }, { user: 'Kim', text: 'done' }]);
+});
+
+test('reads columns in any order and ignores unknown ones', () => {
+    const { notes } = csvToNotes('Note,Extra,User\r\n"Hello","x","Jo"\r\n');
+    assert.deepStrictEqual(notes, [{ text: 'Hello', user: 'Jo' }]);
+});
+
+test('refuses files without User and Note, or from a newer format', () => {
+    assert.throws(() => csvToNotes('Timecode,Act\n"00:00:00:00","Act 1"\n'), /User, Note/);
+    assert.throws(() => csvToNotes(`User,Note,Version\n"Jo","Hi","${CSV_VERSION + 1}"\n`), /newer version/);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_OVERLAY, isValidProfileName, parseOverlaySettings, parseOverlayQuery, overlayQuery, resolveOverlaySettings, tickerNotes } = require('../overlay-settings');
+
+test('reads settings from the URL, text and all', () => {
+    const { profile, settings, warnings } = parseOverlayQuery('?profile=stream&panels=act,ticker,act&tickerTags=dsm,%20safety&tickerCount=3&flash=off&theme=dark');
+    assert.deepStrictEqual(warnings, []);
+    assert.strictEqual(profile, 'stream');
+    assert.deepStrictEqual(settings, { panels: ['act', 'ticker'], tickerTags: ['dsm', 'safety'], tickerCount: 3, flash: false, theme: 'dark' });
+});
+
+test('keeps the old display parameter working', () => {
+    assert.deepStrictEqual(parseOverlayQuery('display=lx-only').settings, { panels: ['lx', 'sound'] });
+    assert.deepStrictEqual(parseOverlayQuery('display=all').settings, {});
+});
+
+test('skips settings that do not make sense', () => {
+    const { settings, warnings } = parseOverlaySettings({ panels: ['timecode', 'weather'], tickerCount: 0, theme: 'neon', banner: 'maybe', size: 'large', colour: 'red' });
+    assert.deepStrictEqual(settings, { size: 'large' });
+    assert.strictEqual(warnings.length, 5);
+});
+
+test('profiles are laid under the URL, over the defaults', () => {
+    const profile = parseOverlaySettings({ panels: ['timecode', 'act'], theme: 'minimal', banner: false }).settings;
+    const url = parseOverlayQuery('theme=light').settings;
+    assert.deepStrictEqual(resolveOverlaySettings(profile, url), {
+        ...DEFAULT_OVERLAY,
+        panels: ['timecode', 'act'],
+        theme: 'light',
+        banner: false
+    });
+});
+
+test('the builder URL only carries what differs from the defaults, and reads back the same', () => {
+    const settings = resolveOverlaySettings({ panels: ['act', 'ticker'], tickerTags: ['dsm'], flash: false });
+    const query = overlayQuery(settings);
+    assert.strictEqual(query, 'panels=act%2Cticker&tickerTags=dsm&flash=false');
+    assert.deepStrictEqual(resolveOverlaySettings(parseOverlayQuery(query).settings), settings);
+    assert.strictEqual(overlayQuery({}, 'stream'), 'profile=stream');
+});
+
+test('the ticker has the latest notes with its tags, newest first', () => {
+    const notes = [
+        { id: 1, tags: ['dsm'] },
+        { id: 2, tags: ['lighting'] },
+        { id: 3, tags: ['dsm', 'safety'] },
+        { id: 4 },
+        { id: 5, tags: ['dsm'] }
+    ];
+    assert.deepStrictEqual(tickerNotes(notes, { tickerTags: ['dsm'], tickerCount: 2 }).map(note => note.id), [5, 3]);
+    assert.deepStrictEqual(tickerNotes(notes, { tickerTags: [], tickerCount: 3 }).map(note => note.id), [5, 4, 3]);
+});
+
+test('profile names are safe to use in URLs and as keys', () => {
+    assert.ok(isValidProfileName('prompt-desk_2'));
+    assert.ok(!isValidProfileName('__proto__'));
+    assert.ok(!isValidProfileName('stream/../x'));
+    assert.ok(!isValidProfileName(''));
+});
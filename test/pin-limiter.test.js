@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPinLimiter } = require('../pin-limiter');
+
+const getRole = pin => (pin === '12345678' ? 'admin' : null);
+
+test('a few wrong PINs are allowed, then each one doubles the wait', () => {
+    const limiter = createPinLimiter({ freeAttempts: 3, baseDelayMs: 1000 });
+    for (let i = 0; i < 2; i++) {
+        assert.deepStrictEqual(limiter.check('10.0.0.5', '0000', getRole, 0), { role: null, waitMs: 0 });
+    }
+    assert.strictEqual(limiter.waitTime('10.0.0.5', 0), 0);
+
+    limiter.check('10.0.0.5', '0001', getRole, 0);
+    assert.strictEqual(limiter.waitTime('10.0.0.5', 0), 1000);
+    // Even the right PIN isn't checked while waiting
+    assert.deepStrictEqual(limiter.check('10.0.0.5', '12345678', getRole, 500), { role: null, waitMs: 500 });
+
+    limiter.check('10.0.0.5', '0002', getRole, 1000);
+    assert.strictEqual(limiter.waitTime('10.0.0.5', 1000), 2000);
+    // Other addresses aren't affected
+    assert.strictEqual(limiter.waitTime('10.0.0.6', 1000), 0);
+});
+
+test('the right PIN clears the count, and old failures are forgotten', () => {
+    const limiter = createPinLimiter({ freeAttempts: 2, baseDelayMs: 1000, forgetAfterMs: 60000 });
+    limiter.check('10.0.0.5', '0000', getRole, 0);
+    assert.deepStrictEqual(limiter.check('10.0.0.5', '12345678', getRole, 0), { role: 'admin', waitMs: 0 });
+    limiter.check('10.0.0.5', '0000', getRole, 0);
+    assert.strictEqual(limiter.waitTime('10.0.0.5', 0), 0);
+
+    limiter.check('10.0.0.5', '0000', getRole, 0);
+    assert.strictEqual(limiter.waitTime('10.0.0.5', 0), 1000);
+    assert.strictEqual(limiter.waitTime('10.0.0.5', 60001), 0);
+});
+
+test('the wait is capped', () => {
+    const limiter = createPinLimiter({ freeAttempts: 1, baseDelayMs: 1000, maxDelayMs: 5000 });
+    for (let i = 0; i < 10; i++) limiter.recordFailure('10.0.0.5', 0);
+    assert.strictEqual(limiter.waitTime('10.0.0.5', 0), 5000);
+});
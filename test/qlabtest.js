@@ -0,0 +1,57 @@
+import dgram from 'node:dgram';
+import qlab from '../qlab.js';
+
+// Stand-in for a QLab workspace: answers the queries the server sends.
+// Press Enter (or send /go) to GO the cue at the playhead.
+// Run the server with --qlab-ip=127.0.0.1 to connect to it.
+
+const { encodeOscMessage, decodeOscMessage } = qlab;
+
+const cues = [
+    { uniqueID: 'A1', number: '1', name: 'Preshow music', type: 'Audio', duration: 8000 },
+    { uniqueID: 'A2', number: '2', name: 'Thunder', type: 'Audio', duration: 4000 },
+    { uniqueID: 'A3', number: '2.5', name: 'Rain loop', type: 'Audio', duration: 10000 },
+    { uniqueID: 'A4', number: '3', name: 'Doorbell', type: 'Audio', duration: 2000 }
+];
+let playhead = 0;
+const running = new Set();
+
+const socket = dgram.createSocket('udp4');
+
+function reply(rinfo, address, data) {
+    const buffer = encodeOscMessage(`/reply${address}`, [JSON.stringify({
+        workspace_id: 'standin',
+        address: address,
+        status: 'ok',
+        data: data
+    })]);
+    socket.send(buffer, rinfo.port, rinfo.address);
+}
+
+function go() {
+    const cue = cues[playhead];
+    if (!cue) return;
+    console.log(`GO ${cue.number} ${cue.name}`);
+    running.add(cue.uniqueID);
+    setTimeout(() => running.delete(cue.uniqueID), cue.duration);
+    playhead = (playhead + 1) % cues.length;
+}
+
+socket.on('message', (buffer, rinfo) => {
+    const [address] = decodeOscMessage(buffer);
+    if (address === '/go') {
+        go();
+    } else if (address === '/runningCues') {
+        reply(rinfo, address, cues.filter(cue => running.has(cue.uniqueID)));
+    } else if (address === '/cue/playhead/number') {
+        reply(rinfo, address, cues[playhead].number);
+    } else if (address === '/cue/playhead/displayName') {
+        reply(rinfo, address, cues[playhead].name);
+    }
+});
+
+socket.bind(53000, () => {
+    console.log('QLab stand-in listening on port 53000 - press Enter to GO');
+});
+
+process.stdin.on('data', go);
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createShowClock, applyShowClockCommand, setShowClockAct, getShowClockSnapshot, formatElapsed } = require('../show-clock');
+
+test('counts from start, stops counting while held and carries on after resume', () => {
+    const clock = createShowClock();
+    assert.strictEqual(applyShowClockCommand(clock, 'start', 'Act 1', 1000), true);
+    assert.strictEqual(getShowClockSnapshot(clock, 61000).elapsedMs, 60000);
+
+    applyShowClockCommand(clock, 'hold', 'Act 1', 61000);
+    assert.strictEqual(getShowClockSnapshot(clock, 300000).elapsedMs, 60000);
+    assert.strictEqual(getShowClockSnapshot(clock, 300000).status, 'held');
+
+    applyShowClockCommand(clock, 'resume', 'Act 1', 300000);
+    assert.strictEqual(getShowClockSnapshot(clock, 330000).elapsedMs, 90000);
+});
+
+test('ignores commands that do not apply', () => {
+    const clock = createShowClock();
+    assert.strictEqual(applyShowClockCommand(clock, 'hold', 'Act 1', 0), false);
+    assert.strictEqual(applyShowClockCommand(clock, 'resume', 'Act 1', 0), false);
+    assert.strictEqual(applyShowClockCommand(clock, 'reset', 'Act 1', 0), false);
+    applyShowClockCommand(clock, 'start', 'Act 1', 0);
+    assert.strictEqual(applyShowClockCommand(clock, 'start', 'Act 1', 5000), false);
+    assert.strictEqual(applyShowClockCommand(clock, 'bogus', 'Act 1', 5000), false);
+});
+
+test('keeps a running time per act', () => {
+    const clock = createShowClock();
+    applyShowClockCommand(clock, 'start', 'Act 1', 0);
+    setShowClockAct(clock, 'Interval', 3600000);
+    applyShowClockCommand(clock, 'hold', 'Interval', 4500000);
+    setShowClockAct(clock, 'Act 2', 4500000);
+    applyShowClockCommand(clock, 'resume', 'Act 2', 4500000);
+
+    const snapshot = getShowClockSnapshot(clock, 7200000);
+    assert.deepStrictEqual(snapshot.acts, [
+        { act: 'Act 1', elapsedMs: 3600000 },
+        { act: 'Interval', elapsedMs: 900000 },
+        { act: 'Act 2', elapsedMs: 2700000 }
+    ]);
+    assert.strictEqual(snapshot.elapsedMs, 7200000);
+    assert.strictEqual(snapshot.act, 'Act 2');
+});
+
+test('reset clears the time and the acts', () => {
+    const clock = createShowClock();
+    applyShowClockCommand(clock, 'start', 'Act 1', 0);
+    applyShowClockCommand(clock, 'reset', 'Act 1', 10000);
+
+    const snapshot = getShowClockSnapshot(clock, 20000);
+    assert.strictEqual(snapshot.status, 'stopped');
+    assert.strictEqual(snapshot.elapsedMs, 0);
+    assert.deepStrictEqual(snapshot.acts, []);
+});
+
+test('formats elapsed time as HH:MM:SS', () => {
+    assert.strictEqual(formatElapsed(0), '00:00:00');
+    assert.strictEqual(formatElapsed(3723999), '01:02:03');
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildShowReport } = require('../show-report');
+
+const tags = [
+    { id: 'safety', name: 'Safety/Show Critical' },
+    { id: 'lighting', name: 'Lighting' },
+    { id: 'sound', name: 'Sound' }
+];
+
+function note(fields) {
+    return {
+        user: 'Sam',
+        text: 'A note',
+        timecode: { hours: 0, minutes: 1, seconds: 2, frames: 3, frameRate: 25 },
+        frameRate: 25,
+        lxCue: '12',
+        tags: [],
+        act: 'Act 1',
+        comments: [],
+        status: 'open',
+        timestamp: '2026-10-19T19:00:00.000Z',
+        ...fields
+    };
+}
+
+const exportData = {
+    session: { name: 'Dress 2', createdAt: '2026-10-19T18:00:00.000Z', closedAt: null },
+    notes: [
+        note({ text: 'Focus on the chair', tags: ['lighting'], act: 'Act 2', timestamp: '2026-10-19T20:00:00.000Z' }),
+        note({ text: 'Cable across the exit', tags: ['safety', 'lighting'], user: 'Alex' }),
+        note({ text: 'Thunder too loud', tags: ['sound'], soundCue: '2', soundCueName: 'Thunder',
+            comments: [{ user: 'Jo', text: 'Turned down 3dB' }] }),
+        note({ text: 'Deleted note', tags: ['sound'], deleted: true }),
+        note({ text: 'Untagged note' })
+    ],
+    actHistory: [{ act: 'Preshow' }, { act: 'Act 1' }, { act: 'Act 2' }],
+    showClock: { elapsedMs: 5400000, acts: [{ act: 'Act 1', elapsedMs: 3000000 }, { act: 'Act 2', elapsedMs: 2400000 }] },
+    users: [{ name: 'Sam' }],
+    tags: tags
+};
+
+test('puts safety notes first, then notes by department and act', () => {
+    const report = buildShowReport(exportData);
+    const positions = ['Cable across the exit', 'Running Times', '>Lighting', '<h3>Act 1', '<h3>Act 2', 'Focus on the chair', '>Sound', 'Thunder too loud', '>General', 'Untagged note']
+        .map(text => report.indexOf(text));
+    positions.forEach((position, index) => {
+        assert.ok(position > (index === 0 ? -1 : positions[index - 1]), `section ${index} out of order`);
+    });
+    assert.ok(!report.includes('Deleted note'));
+});
+
+test('includes running times, cue references, comments and attendees', () => {
+    const report = buildShowReport(exportData);
+    assert.ok(report.includes('01:30:00'));
+    assert.ok(report.includes('LX 12'));
+    assert.ok(report.includes('SFX 2 &quot;Thunder&quot;'));
+    assert.ok(report.includes('Turned down 3dB'));
+    assert.ok(report.includes('Alex, Jo, Sam'));
+});
+
+test('escapes uploaded text without double escaping text the server already escaped', () => {
+    const report = buildShowReport({
+        notes: [note({ text: '<script>alert(1)</script>' }), note({ text: 'Don&#039;t &amp; won&#039;t' })]
+    });
+    assert.ok(!report.includes('<script>alert'));
+    assert.ok(report.includes('Don&#039;t &amp; won&#039;t'));
+});
+
+test('shows coloured names as the plain name, once in the attendees', () => {
+    const coloured = '<span style="color: #ff0000">Zac</span>';
+    const report = buildShowReport({
+        users: [{ name: coloured }],
+        notes: [note({ user: coloured, comments: [{ user: coloured, text: 'Done' }] }), note({ user: 'Zac' })]
+    });
+    assert.ok(!report.includes('span style'));
+    assert.ok(report.includes('<span class="author">Zac</span>'));
+    assert.ok(report.includes('<strong>Zac:</strong> Done'));
+    assert.match(report, /<h2>Attended<\/h2>\s*<p>Zac<\/p>/);
+});
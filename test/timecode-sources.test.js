@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseArtTimeCode, parseOscTimecode, createTimecodeSourceManager } = require('../timecode-sources');
+const { formatTimecode } = require('../mtc');
+
+function artTimeCode(hours, minutes, seconds, frames, type) {
+    const buffer = Buffer.alloc(19);
+    buffer.write('Art-Net\0', 0, 'latin1');
+    buffer.writeUInt16LE(0x9700, 8);
+    buffer[11] = 14; // Protocol version
+    buffer[14] = frames;
+    buffer[15] = seconds;
+    buffer[16] = minutes;
+    buffer[17] = hours;
+    buffer[18] = type;
+    return buffer;
+}
+
+// Manager with a fake clock and everything it reports collected
+function setup(order, staleMs = {}) {
+    const clock = { time: 1000 };
+    const timecodes = [];
+    const changes = [];
+    const manager = createTimecodeSourceManager({
+        order,
+        staleMs,
+        onTimecode: tc => timecodes.push(tc),
+        onSourceChange: state => changes.push(state),
+        now: () => clock.time
+    });
+    return { clock, timecodes, changes, manager };
+}
+
+const tc = (seconds, frames = 0) => ({ hours: 1, minutes: 0, seconds, frames, frameRate: 25, dropFrame: false });
+
+test('parses Art-Net ArtTimeCode packets', () => {
+    const timecode = parseArtTimeCode(artTimeCode(10, 20, 30, 12, 1));
+    assert.strictEqual(formatTimecode(timecode), '10:20:30:12');
+    assert.strictEqual(timecode.frameRate, 25);
+    assert.strictEqual(timecode.source, 'artnet');
+
+    assert.strictEqual(parseArtTimeCode(artTimeCode(0, 0, 0, 0, 2)).dropFrame, true);
+});
+
+test('ignores other Art-Net packets and other traffic', () => {
+    const artDmx = artTimeCode(0, 0, 0, 0, 0);
+    artDmx.writeUInt16LE(0x5000, 8);
+    assert.strictEqual(parseArtTimeCode(artDmx), null);
+    assert.strictEqual(parseArtTimeCode(Buffer.from('hello')), null);
+});
+
+test('parses OSC timecode as a string or four numbers', () => {
+    assert.strictEqual(formatTimecode(parseOscTimecode(['01:02:03:04'])), '01:02:03:04');
+    assert.strictEqual(parseOscTimecode(['01:02:03;04']).dropFrame, true);
+    assert.strictEqual(formatTimecode(parseOscTimecode([1, 2, 3, 4], 25)), '01:02:03:04');
+    assert.strictEqual(parseOscTimecode([1, 2, 3, 4], 25).frameRate, 25);
+    assert.strictEqual(parseOscTimecode(['1/5 Cue']), null);
+    assert.strictEqual(parseOscTimecode([]), null);
+});
+
+test('passes on timecode from the highest priority live source only', () => {
+    const { manager, timecodes } = setup(['midi', 'artnet']);
+    manager.report('artnet', tc(1));
+    manager.report('midi', tc(5));
+    manager.report('artnet', tc(2));
+    manager.report('midi', tc(6));
+
+    assert.deepStrictEqual(timecodes.map(t => [t.source, t.seconds]), [['artnet', 1], ['midi', 5], ['midi', 6]]);
+    assert.strictEqual(manager.getState().active, 'midi');
+});
+
+test('fails over when a source goes quiet and back when it returns', () => {
+    const { manager, timecodes, changes, clock } = setup(['artnet', 'eos'], { artnet: 1000, eos: 2500 });
+    manager.report('artnet', tc(1));
+    manager.report('eos', tc(30));
+
+    clock.time += 1500;
+    manager.report('eos', tc(31));
+    manager.tick();
+    assert.strictEqual(manager.getState().active, 'eos');
+    assert.strictEqual(timecodes[timecodes.length - 1].seconds, 31);
+
+    manager.report('artnet', tc(3));
+    assert.strictEqual(manager.getState().active, 'artnet');
+    assert.deepStrictEqual(changes.map(change => change.active), ['artnet', 'artnet', 'eos', 'artnet']);
+});
+
+test('keeps a source that says when it stops live until it is dropped', () => {
+    const { manager, clock } = setup(['midi', 'artnet'], { midi: Infinity });
+    manager.report('midi', tc(1));
+    manager.report('artnet', tc(2));
+
+    clock.time += 60000;
+    manager.report('artnet', tc(3));
+    manager.tick();
+    assert.strictEqual(manager.getState().active, 'midi');
+
+    manager.drop('midi');
+    assert.strictEqual(manager.getState().active, 'artnet');
+});
+
+test('has no active source once everything has stopped', () => {
+    const { manager, clock } = setup(['artnet']);
+    manager.report('artnet', tc(1));
+    clock.time += 5000;
+    manager.tick();
+
+    const state = manager.getState();
+    assert.strictEqual(state.active, null);
+    assert.strictEqual(state.sources.artnet.live, false);
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { crc32, createZip, readZip } = require('../zip');
+
+test('checksums match the zip standard', () => {
+    assert.strictEqual(crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+    assert.strictEqual(crc32(new Uint8Array(0)), 0);
+});
+
+test('reads back the files it writes', () => {
+    const photo = Buffer.from([0xFF, 0xD8, 0xFF, 0x00, 0x01]);
+    const zip = createZip([
+        { name: 'notes.json', data: '{"notes":[]}' },
+        { name: 'attachments/café.jpg', data: photo }
+    ], new Date(2025, 9, 14, 19, 41));
+    const entries = readZip(zip);
+    assert.deepStrictEqual(entries.map(entry => entry.name), ['notes.json', 'attachments/café.jpg']);
+    assert.strictEqual(new TextDecoder().decode(entries[0].data), '{"notes":[]}');
+    assert.deepStrictEqual(Buffer.from(entries[1].data), photo);
+    // End of central directory: two files
+    assert.strictEqual(Buffer.from(zip).readUInt16LE(zip.length - 12), 2);
+});
+
+test('refuses files that are not zips', () => {
+    assert.throws(() => readZip(Buffer.from('not a zip at all, just some text')), /not a zip/);
+});
@@ -0,0 +1,130 @@
+// Timecode sources other than MIDI, and the priority/failover between them.
+// Every source reports { hours, minutes, seconds, frames, frameRate, dropFrame, source }.
+
+// Art-Net ArtTimeCode type field
+const ARTNET_FRAME_RATES = {
+    0: { frameRate: 24, dropFrame: false },
+    1: { frameRate: 25, dropFrame: false },
+    2: { frameRate: 29.97, dropFrame: true },
+    3: { frameRate: 30, dropFrame: false }
+};
+
+// ArtTimeCode packet: "Art-Net\0", OpCode 0x9700 (little endian), version, filler,
+// stream id, then frames, seconds, minutes, hours and type. Returns null for anything else.
+function parseArtTimeCode(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 19 ||
+        buffer.toString('latin1', 0, 8) !== 'Art-Net\0' || buffer.readUInt16LE(8) !== 0x9700) {
+        return null;
+    }
+    return {
+        hours: buffer[17] & 0x1F,
+        minutes: buffer[16] & 0x3F,
+        seconds: buffer[15] & 0x3F,
+        frames: buffer[14] & 0x1F,
+        ...(ARTNET_FRAME_RATES[buffer[18]] || ARTNET_FRAME_RATES[3]),
+        source: 'artnet'
+    };
+}
+
+// OSC timecode: either a "HH:MM:SS:FF" string (";" before the frames for drop-frame)
+// or four numbers. frameRate is used when the message doesn't say.
+function parseOscTimecode(args, frameRate = 30) {
+    let parts;
+    let dropFrame = false;
+    if (typeof args[0] === 'string') {
+        const match = args[0].trim().match(/^(\d{1,2}):(\d{2}):(\d{2})([:;.])(\d{2})$/);
+        if (!match) return null;
+        parts = [match[1], match[2], match[3], match[5]].map(Number);
+        dropFrame = match[4] === ';';
+    } else if (args.length >= 4 && args.slice(0, 4).every(arg => typeof arg === 'number')) {
+        parts = args.slice(0, 4).map(Math.floor);
+    } else {
+        return null;
+    }
+    return {
+        hours: parts[0],
+        minutes: parts[1],
+        seconds: parts[2],
+        frames: parts[3],
+        frameRate: dropFrame ? 29.97 : frameRate,
+        dropFrame: dropFrame,
+        source: 'osc'
+    };
+}
+
+// Picks the live source with the highest priority. A source is live while it keeps reporting
+// (within its staleMs - Infinity for sources that say when they stop, via drop) and falls back
+// to the next one in the order when it stops.
+// onTimecode(timecode) gets timecode from the active source only;
+// onSourceChange({ active, order, sources }) is called when the active source or a source's liveness changes.
+function createTimecodeSourceManager({ order, staleMs = {}, onTimecode = () => {}, onSourceChange = () => {}, now = Date.now }) {
+    const sources = {};
+    order.forEach(name => {
+        sources[name] = { live: false, lastSeen: null, timecode: null, staleMs: name in staleMs ? staleMs[name] : 1000 };
+    });
+    let active = null;
+
+    const getState = () => ({
+        active,
+        order: [...order],
+        sources: Object.fromEntries(order.map(name => [name, { live: sources[name].live, lastSeen: sources[name].lastSeen }]))
+    });
+
+    // Re-pick the active source after any source goes live or stale
+    const update = (livenessChanged) => {
+        const best = order.find(name => sources[name].live) || null;
+        if (best !== active) {
+            active = best;
+            if (active) {
+                onTimecode({ ...sources[active].timecode });
+            }
+            onSourceChange(getState());
+        } else if (livenessChanged) {
+            onSourceChange(getState());
+        }
+    };
+
+    function report(name, timecode) {
+        const source = sources[name];
+        if (!source) return;
+        source.timecode = { ...timecode, source: name };
+        source.lastSeen = now();
+        const wasLive = source.live;
+        source.live = true;
+        if (name === active) {
+            onTimecode({ ...source.timecode });
+        }
+        update(!wasLive);
+    }
+
+    // Mark a source as gone straight away, e.g. when MIDI timecode is reported lost
+    function drop(name) {
+        const source = sources[name];
+        if (!source || !source.live) return;
+        source.live = false;
+        update(true);
+    }
+
+    // Call regularly to notice sources that have stopped
+    function tick() {
+        let changed = false;
+        order.forEach(name => {
+            const source = sources[name];
+            if (source.live && now() - source.lastSeen > source.staleMs) {
+                source.live = false;
+                changed = true;
+            }
+        });
+        if (changed) {
+            update(true);
+        }
+    }
+
+    return { report, drop, tick, getState };
+}
+
+module.exports = {
+    parseArtTimeCode,
+    parseOscTimecode,
+    createTimecodeSourceManager
+};
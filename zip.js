@@ -0,0 +1,133 @@
+// Minimal zip files for session exports: the JSON export plus its attachments. Files are stored
+// without compression - photos are compressed already - so recall.html can read them back with no
+// library. Loaded with require() on the server and as a <script> (window.Zip) in the browser.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Zip = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const CRC_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    function crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // Date and time in the MS-DOS format zip uses (local time, two-second steps)
+    function dosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    function toBytes(data) {
+        return typeof data === 'string' ? new TextEncoder().encode(data) : new Uint8Array(data.buffer || data, data.byteOffset || 0, data.byteLength);
+    }
+
+    // entries: [{ name, data }] - data is a string or bytes. Returns the zip as a Uint8Array
+    function createZip(entries, modified = new Date()) {
+        const stamp = dosDateTime(modified);
+        const files = entries.map(entry => ({ name: new TextEncoder().encode(entry.name), data: toBytes(entry.data) }));
+        const size = files.reduce((total, file) => total + 30 + file.name.length + file.data.length + 46 + file.name.length, 22);
+        const zip = new Uint8Array(size);
+        const view = new DataView(zip.buffer);
+        const central = [];
+        let offset = 0;
+
+        // Local header, then the file. Flag 0x0800: names are UTF-8
+        files.forEach(file => {
+            const crc = crc32(file.data);
+            central.push({ file, crc, offset });
+            view.setUint32(offset, 0x04034B50, true);
+            view.setUint16(offset + 4, 20, true);
+            view.setUint16(offset + 6, 0x0800, true);
+            view.setUint16(offset + 8, 0, true);
+            view.setUint16(offset + 10, stamp.time, true);
+            view.setUint16(offset + 12, stamp.date, true);
+            view.setUint32(offset + 14, crc, true);
+            view.setUint32(offset + 18, file.data.length, true);
+            view.setUint32(offset + 22, file.data.length, true);
+            view.setUint16(offset + 26, file.name.length, true);
+            view.setUint16(offset + 28, 0, true);
+            zip.set(file.name, offset + 30);
+            zip.set(file.data, offset + 30 + file.name.length);
+            offset += 30 + file.name.length + file.data.length;
+        });
+
+        const centralStart = offset;
+        central.forEach(({ file, crc, offset: localOffset }) => {
+            view.setUint32(offset, 0x02014B50, true);
+            view.setUint16(offset + 4, 20, true);
+            view.setUint16(offset + 6, 20, true);
+            view.setUint16(offset + 8, 0x0800, true);
+            view.setUint16(offset + 10, 0, true);
+            view.setUint16(offset + 12, stamp.time, true);
+            view.setUint16(offset + 14, stamp.date, true);
+            view.setUint32(offset + 16, crc, true);
+            view.setUint32(offset + 20, file.data.length, true);
+            view.setUint32(offset + 24, file.data.length, true);
+            view.setUint16(offset + 28, file.name.length, true);
+            // Extra field, comment, disk, attributes: none
+            view.setUint32(offset + 42, localOffset, true);
+            zip.set(file.name, offset + 46);
+            offset += 46 + file.name.length;
+        });
+
+        view.setUint32(offset, 0x06054B50, true);
+        view.setUint16(offset + 8, files.length, true);
+        view.setUint16(offset + 10, files.length, true);
+        view.setUint32(offset + 12, offset - centralStart, true);
+        view.setUint32(offset + 16, centralStart, true);
+        return zip;
+    }
+
+    // The files in a zip: [{ name, data }]. Only reads uncompressed files, like createZip writes
+    function readZip(bytes) {
+        const zip = toBytes(bytes);
+        const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+        let end = zip.length - 22;
+        while (end >= 0 && view.getUint32(end, true) !== 0x06054B50) end--;
+        if (end < 0) throw new Error('not a zip file');
+
+        const count = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+        const entries = [];
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(offset, true) !== 0x02014B50) throw new Error('the zip file is damaged');
+            const method = view.getUint16(offset + 10, true);
+            const size = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const skip = view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = new TextDecoder().decode(zip.subarray(offset + 46, offset + 46 + nameLength));
+            if (method !== 0) throw new Error(`${name} is compressed - use a session zip exported from the notes page`);
+
+            const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            entries.push({ name, data: zip.subarray(dataStart, dataStart + size) });
+            offset += 46 + nameLength + skip;
+        }
+        return entries;
+    }
+
+    return {
+        crc32,
+        createZip,
+        readZip
+    };
+});